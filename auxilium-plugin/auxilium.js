@@ -37,9 +37,11 @@
             title: 'Assistant',
             theme: 'light',
             position: 'bottom-right',
-            welcomeMessage: 'Hello! How can I help you today?',
+            welcomeMessage: null, // Defaults to the persona's welcome message
+            persona: null,
             placeholder: 'Type your message...',
             autoOpen: false,
+            streaming: true,
             debug: false
         },
 
@@ -47,6 +49,7 @@
         isInitialized: false,
         isLoading: false,
         chatManager: null,
+        actions: {},
 
         /**
          * Initialize the chat plugin
@@ -122,7 +125,7 @@
                 this._loadCSS();
 
                 // Initialize chat manager
-                this.chatManager = new window.OpenAuxiliumChatManager(this.config);
+                this.chatManager = new window.OpenAuxiliumChatManager(this.config, this.actions);
 
                 // Create and inject UI
                 this.chatManager.init();
@@ -202,6 +205,17 @@
             }
         },
 
+        /**
+         * Stop the response currently being generated
+         */
+        stopGenerating() {
+            if (this.chatManager) {
+                this.chatManager.stopGenerating();
+            } else if (this.config.debug) {
+                console.warn('[OpenAuxilium] Chat manager not initialized');
+            }
+        },
+
         /**
          * Clear chat history
          */
@@ -213,6 +227,39 @@
             }
         },
 
+        /**
+         * Register an action of the host page the assistant can run, e.g. opening a page.
+         * Actions are advertised when the chat session is created, so register them
+         * before the first message. They are only offered while responses are streamed.
+         * @param {string} name - Action name, letters, digits and underscores
+         * @param {Object} schema - Action description and JSON schema of its parameters
+         * @param {string} schema.description - What the action does, shown to the model
+         * @param {Object} [schema.parameters] - JSON schema of the arguments
+         * @param {Function} handler - Called with the arguments, may return a result or a promise
+         */
+        registerAction(name, schema, handler) {
+            if (!/^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/.test(name)) {
+                console.error('[OpenAuxilium] Invalid action name:', name);
+                return;
+            }
+
+            if (!schema || typeof schema.description !== 'string' || typeof handler !== 'function') {
+                console.error('[OpenAuxilium] Action needs a description and a handler:', name);
+                return;
+            }
+
+            this.actions[name] = {
+                name,
+                description: schema.description,
+                parameters: schema.parameters || null,
+                handler
+            };
+
+            if (this.config.debug) {
+                console.log('[OpenAuxilium] Registered action:', name);
+            }
+        },
+
         /**
          * Check if the plugin is ready
          */
@@ -268,8 +315,10 @@
         if (dataAttrs.serverUrl) autoConfig.serverUrl = dataAttrs.serverUrl;
         if (dataAttrs.title) autoConfig.title = dataAttrs.title;
         if (dataAttrs.theme) autoConfig.theme = dataAttrs.theme;
+        if (dataAttrs.persona) autoConfig.persona = dataAttrs.persona;
         if (dataAttrs.position) autoConfig.position = dataAttrs.position;
         if (dataAttrs.autoOpen) autoConfig.autoOpen = dataAttrs.autoOpen === 'true';
+        if (dataAttrs.streaming) autoConfig.streaming = dataAttrs.streaming === 'true';
         if (dataAttrs.debug) autoConfig.debug = dataAttrs.debug === 'true';
 
         if (Object.keys(autoConfig).length > 0) {
@@ -5,19 +5,27 @@ class ChatAPI {
     constructor(serverUrl) {
         this.serverUrl = serverUrl.replace(/\/$/, ''); // Remove trailing slash
         this.baseUrl = `${this.serverUrl}/api/chat`;
+        this.sessionTokens = {}; // sessionId -> token returned when the session was created
     }
 
     /**
-     * Make HTTP request with error handling
+     * Perform a fetch against the API and return the raw response, throwing on HTTP errors.
+     * Thrown errors carry the HTTP status, and retryAfter when rate limited.
      */
-    async _request(endpoint, options = {}) {
+    async _fetch(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
 
+        // Calls on a session prove they own it with its token
+        const sessionMatch = endpoint.match(/^\/sessions\/([^/]+)/);
+        const sessionToken = sessionMatch && this.sessionTokens[decodeURIComponent(sessionMatch[1])];
+
         const defaultOptions = {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
-            },
-            ...options
+                ...(sessionToken && { 'X-Session-Token': sessionToken }),
+                ...options.headers
+            }
         };
 
         try {
@@ -25,10 +33,18 @@ class ChatAPI {
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+
+                // Rate limited or busy, seconds to wait before retrying
+                if (response.status === 429 || response.status === 503) {
+                    error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || errorData.retryAfter || null;
+                }
+
+                throw error;
             }
 
-            return await response.json();
+            return response;
         } catch (error) {
             if (error instanceof TypeError && error.message.includes('fetch')) {
                 throw new Error('Network error: Unable to connect to server');
@@ -37,32 +53,64 @@ class ChatAPI {
         }
     }
 
+    /**
+     * Make HTTP request with error handling
+     */
+    async _request(endpoint, options = {}) {
+        const response = await this._fetch(endpoint, options);
+        return await response.json();
+    }
+
     /**
      * Create a new chat session
+     * @param {string} [persona] - Persona the session starts with, the server default if omitted
+     * @param {Array<Object>} [actions] - Page actions (name, description, parameters) the model can call
      * @returns {Promise<string>} Session ID
      */
-    async createSession() {
+    async createSession(persona, actions) {
         const response = await this._request('/sessions', {
-            method: 'POST'
+            method: 'POST',
+            body: JSON.stringify({ persona, actions })
         });
 
         if (!response.success) {
             throw new Error(response.error || 'Failed to create session');
         }
 
+        if (response.sessionToken) {
+            this.sessionTokens[response.sessionId] = response.sessionToken;
+        }
+
         return response.sessionId;
     }
 
+    /**
+     * Get a persona
+     * @param {string} personaId - Persona ID
+     * @returns {Promise<Object>} Persona
+     */
+    async getPersona(personaId) {
+        const response = await this._request(`/personas/${encodeURIComponent(personaId)}`);
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to get persona');
+        }
+
+        return response.persona;
+    }
+
     /**
      * Send a message to a session
      * @param {string} sessionId - Session ID
      * @param {string} message - Message content
+     * @param {AbortSignal} [signal] - Aborts the request
      * @returns {Promise<Object>} Response data
      */
-    async sendMessage(sessionId, message) {
+    async sendMessage(sessionId, message, signal) {
         const response = await this._request(`/sessions/${sessionId}/messages`, {
             method: 'POST',
-            body: JSON.stringify({ message })
+            body: JSON.stringify({ message }),
+            signal
         });
 
         if (!response.success) {
@@ -72,6 +120,158 @@ class ChatAPI {
         return response;
     }
 
+    /**
+     * Check whether the browser can read streamed responses
+     * @returns {boolean}
+     */
+    supportsStreaming() {
+        return typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * Send a message and receive the response as a stream of text chunks
+     * @param {string} sessionId - Session ID
+     * @param {string} message - Message content
+     * @param {Function} onChunk - Called with each text chunk as it arrives
+     * @param {AbortSignal} [signal] - Aborts the request and the stream
+     * @param {Function} [onAction] - Called with each page action call ({callId, name, arguments})
+     * @param {Function} [onQueue] - Called with {position, estimatedWaitSeconds} while the message waits,
+     *     position 0 meaning its generation started
+     * @returns {Promise<Object>} Final response data
+     */
+    async sendMessageStream(sessionId, message, onChunk, signal, onAction, onQueue) {
+        const response = await this._fetch(`/sessions/${sessionId}/messages/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({ message }),
+            signal
+        });
+
+        // Server answered with a plain JSON body, use it as a single chunk
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.body || !contentType.includes('text/event-stream')) {
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to send message');
+            }
+            onChunk(data.response);
+            return data;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const event = this._parseEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+
+                if (!event) {
+                    continue;
+                }
+
+                if (event.type === 'chunk') {
+                    onChunk(event.data.text);
+                } else if (event.type === 'action' && onAction) {
+                    // Not awaited: the result is posted separately while the stream stays open
+                    onAction(event.data);
+                } else if (event.type === 'queue' && onQueue) {
+                    onQueue(event.data);
+                } else if (event.type === 'done') {
+                    result = event.data;
+                } else if (event.type === 'error') {
+                    const error = new Error(event.data.error || 'Failed to send message');
+                    error.status = event.data.status;
+                    error.retryAfter = event.data.retryAfter || null;
+                    throw error;
+                }
+            }
+        }
+
+        if (!result) {
+            throw new Error('Stream ended before the response was complete');
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a single Server-Sent Event block
+     * @param {string} block - Raw event text
+     * @returns {Object|null} Event type and parsed data
+     */
+    _parseEvent(block) {
+        let type = 'message';
+        const dataLines = [];
+
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        if (dataLines.length === 0) {
+            return null;
+        }
+
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send the outcome of a page action back to the generation waiting for it
+     * @param {string} sessionId - Session ID
+     * @param {string} callId - Call ID of the action event
+     * @param {Object} outcome - { result } or { error }
+     * @returns {Promise<void>}
+     */
+    async sendActionResult(sessionId, callId, outcome) {
+        const response = await this._request(`/sessions/${sessionId}/actions/${encodeURIComponent(callId)}`, {
+            method: 'POST',
+            body: JSON.stringify(outcome)
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to send action result');
+        }
+    }
+
+    /**
+     * Cancel the queued and in-flight messages of a session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<number>} Number of cancelled messages
+     */
+    async cancelMessages(sessionId) {
+        const response = await this._request(`/sessions/${sessionId}/messages/pending`, {
+            method: 'DELETE'
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to cancel messages');
+        }
+
+        return response.cancelledMessages;
+    }
+
     /**
      * Delete a session
      * @param {string} sessionId - Session ID
@@ -85,6 +285,8 @@ class ChatAPI {
         if (!response.success) {
             throw new Error(response.error || 'Failed to delete session');
         }
+
+        delete this.sessionTokens[sessionId];
     }
 
     /**
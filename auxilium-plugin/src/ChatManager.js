@@ -2,13 +2,16 @@
  * ChatManager - Main controller for the chat widget
  */
 class ChatManager {
-    constructor(config) {
+    constructor(config, actions = {}) {
         this.config = config;
+        this.actions = actions; // name -> { name, description, parameters, handler }
         this.chatUI = null;
         this.chatAPI = null;
         this.sessionId = null;
         this.isOpen = false;
         this.isConnected = false;
+        this.pendingRequest = null;
+        this.persona = null;
     }
 
     /**
@@ -21,6 +24,9 @@ class ChatManager {
             
             // Test connection
             await this._testConnection();
+
+            // Load the persona for its welcome message
+            await this._loadPersona();
             
             // Initialize UI
             this.chatUI = new OpenAuxiliumChatUI(this.config);
@@ -56,12 +62,39 @@ class ChatManager {
         }
     }
 
+    /**
+     * Load the configured persona, falling back to the server default when it can't be loaded
+     */
+    async _loadPersona() {
+        if (!this.config.persona) {
+            return;
+        }
+
+        try {
+            this.persona = await this.chatAPI.getPersona(this.config.persona);
+        } catch (error) {
+            console.warn('[ChatManager] Failed to load persona:', error);
+        }
+    }
+
+    /**
+     * Get the welcome message: the configured one, else the persona's, else a generic greeting
+     */
+    _getWelcomeMessage() {
+        return this.config.welcomeMessage ||
+            (this.persona && this.persona.welcomeMessage) ||
+            'Hello! How can I help you today?';
+    }
+
     /**
      * Create a new chat session
      */
     async _createSession() {
         try {
-            this.sessionId = await this.chatAPI.createSession();
+            this.sessionId = await this.chatAPI.createSession(
+                this.persona ? this.persona.id : undefined,
+                Object.values(this.actions).map(({ name, description, parameters }) => ({ name, description, parameters }))
+            );
             if (this.config.debug) {
                 console.log('[ChatManager] Session created:', this.sessionId);
             }
@@ -94,6 +127,11 @@ class ChatManager {
         this.chatUI.onClearHistory(() => {
             this.clearHistory();
         });
+
+        // Stop generating
+        this.chatUI.onStopGenerating(() => {
+            this.stopGenerating();
+        });
     }
 
     /**
@@ -112,7 +150,7 @@ class ChatManager {
         if (this.chatUI.getMessageCount() === 0) {
             this.chatUI.addMessage({
                 role: 'assistant',
-                content: this.config.welcomeMessage,
+                content: this._getWelcomeMessage(),
                 timestamp: new Date()
             });
         }
@@ -151,7 +189,11 @@ class ChatManager {
             try {
                 await this._createSession();
             } catch (error) {
-                this._showConnectionError();
+                if (error.status === 429) {
+                    this._showCooldown(error.retryAfter);
+                } else {
+                    this._showConnectionError();
+                }
                 return;
             }
         }
@@ -160,6 +202,10 @@ class ChatManager {
             return;
         }
 
+        const controller = new AbortController();
+        this.pendingRequest = controller;
+        this.chatUI.setGenerating(true);
+
         try {
             // Add user message to UI
             this.chatUI.addMessage({
@@ -171,8 +217,13 @@ class ChatManager {
             // Show typing indicator
             this.chatUI.showTyping();
 
+            if (this._canStream()) {
+                await this._sendStreamingMessage(message, controller.signal);
+                return;
+            }
+
             // Send to API
-            const response = await this.chatAPI.sendMessage(this.sessionId, message);
+            const response = await this.chatAPI.sendMessage(this.sessionId, message, controller.signal);
 
             // Hide typing indicator
             this.chatUI.hideTyping();
@@ -185,17 +236,158 @@ class ChatManager {
             });
 
         } catch (error) {
+            // Stopped by the user, keep whatever was already displayed
+            if (error.name === 'AbortError') {
+                return;
+            }
+
             console.error('[ChatManager] Failed to send message:', error);
             
             // Hide typing indicator
             this.chatUI.hideTyping();
-            
+
+            if (error.status === 429) {
+                this._showCooldown(error.retryAfter);
+                return;
+            }
+
+            if (error.status === 503) {
+                this.chatUI.addMessage({
+                    role: 'system',
+                    content: 'The assistant is very busy right now. Please try again in a little while.',
+                    timestamp: new Date()
+                });
+                return;
+            }
+
             // Show error message
             this.chatUI.addMessage({
                 role: 'system',
-                content: 'Sorry, I encountered an error. Please try again.',
+                content: error.status === 413 ?
+                    'Your message is too long. Please shorten it and try again.' :
+                    'Sorry, I encountered an error. Please try again.',
                 timestamp: new Date()
             });
+        } finally {
+            if (this.pendingRequest === controller) {
+                this.pendingRequest = null;
+                this.chatUI.setGenerating(false);
+            }
+        }
+    }
+
+    /**
+     * Stop the response currently being generated
+     */
+    async stopGenerating() {
+        if (!this.pendingRequest) {
+            return;
+        }
+
+        this._abortPendingRequest();
+
+        // Closing the connection already stops the server, this also covers
+        // proxies that keep the upstream connection open
+        try {
+            await this.chatAPI.cancelMessages(this.sessionId);
+        } catch (error) {
+            if (this.config.debug) {
+                console.warn('[ChatManager] Failed to cancel messages:', error);
+            }
+        }
+    }
+
+    /**
+     * Abort the pending request and reset the UI to idle
+     */
+    _abortPendingRequest() {
+        if (!this.pendingRequest) {
+            return;
+        }
+
+        this.pendingRequest.abort();
+        this.pendingRequest = null;
+        this.chatUI.hideTyping();
+        this.chatUI.setGenerating(false);
+    }
+
+    /**
+     * Check whether responses should be streamed
+     */
+    _canStream() {
+        return this.config.streaming !== false && this.chatAPI.supportsStreaming();
+    }
+
+    /**
+     * Send a message and render the assistant response as it is generated
+     */
+    async _sendStreamingMessage(message, signal) {
+        let messageEl = null;
+        let content = '';
+
+        const response = await this.chatAPI.sendMessageStream(this.sessionId, message, (text) => {
+            content += text;
+
+            // Replace the typing indicator with the response bubble on the first chunk
+            if (!messageEl) {
+                this.chatUI.hideTyping();
+                messageEl = this.chatUI.addMessage({
+                    role: 'assistant',
+                    content,
+                    timestamp: new Date()
+                });
+            } else {
+                this.chatUI.updateMessage(messageEl, content);
+            }
+        }, signal, (call) => this._runAction(call), ({ position }) => {
+            // Waiting for the server, until the generation starts at position 0
+            if (!messageEl) {
+                this.chatUI.showTyping(position > 0 ? `You're #${position} in line...` : undefined);
+            }
+        });
+
+        this.chatUI.hideTyping();
+
+        // The final response is trimmed server-side, so it replaces the streamed text
+        if (messageEl) {
+            this.chatUI.updateMessage(messageEl, response.response);
+        } else {
+            this.chatUI.addMessage({
+                role: 'assistant',
+                content: response.response,
+                timestamp: new Date(response.timestamp)
+            });
+        }
+    }
+
+    /**
+     * Run a page action called by the model and send its outcome back to the server
+     * @param {Object} call - Action call with callId, name and arguments
+     */
+    async _runAction({ callId, name, arguments: args }) {
+        const action = this.actions[name];
+        let outcome;
+
+        try {
+            if (!action) {
+                throw new Error(`Unknown action: ${name}`);
+            }
+
+            const result = await action.handler(args || {});
+            outcome = { result: result === undefined ? null : result };
+        } catch (error) {
+            console.warn(`[ChatManager] Action ${name} failed:`, error);
+            outcome = { error: error.message || String(error) };
+        }
+
+        if (this.config.debug) {
+            console.log(`[ChatManager] Action ${name} called with`, args, outcome);
+        }
+
+        try {
+            await this.chatAPI.sendActionResult(this.sessionId, callId, outcome);
+        } catch (error) {
+            console.error('[ChatManager] Failed to send action result:', error);
         }
     }
 
@@ -203,6 +395,8 @@ class ChatManager {
      * Clear chat history
      */
     async clearHistory() {
+        this._abortPendingRequest();
+
         try {
             // Delete current session
             if (this.sessionId) {
@@ -218,7 +412,7 @@ class ChatManager {
             // Show welcome message
             this.chatUI.addMessage({
                 role: 'assistant',
-                content: this.config.welcomeMessage,
+                content: this._getWelcomeMessage(),
                 timestamp: new Date()
             });
 
@@ -227,6 +421,25 @@ class ChatManager {
         }
     }
 
+    /**
+     * Tell the user they were rate limited and how long to wait
+     * @param {number|null} retryAfter - Seconds to wait, from the server
+     */
+    _showCooldown(retryAfter) {
+        let wait = 'a moment';
+        if (retryAfter > 90) {
+            wait = `${Math.ceil(retryAfter / 60)} minutes`;
+        } else if (retryAfter) {
+            wait = `${retryAfter} seconds`;
+        }
+
+        this.chatUI.addMessage({
+            role: 'system',
+            content: `You're sending messages a little too fast. Please wait ${wait} and try again.`,
+            timestamp: new Date()
+        });
+    }
+
     /**
      * Show connection error
      */
@@ -242,6 +455,8 @@ class ChatManager {
      * Destroy the chat manager
      */
     destroy() {
+        this._abortPendingRequest();
+
         // Delete session
         if (this.sessionId) {
             this.chatAPI.deleteSession(this.sessionId).catch(console.error);
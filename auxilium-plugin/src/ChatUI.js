@@ -16,7 +16,8 @@ class ChatUI {
             onToggle: null,
             onMessageSend: null,
             onClose: null,
-            onClearHistory: null
+            onClearHistory: null,
+            onStopGenerating: null
         };
     }
     
@@ -99,7 +100,7 @@ class ChatUI {
                 <div class="auxilium-typing-dot"></div>
                 <div class="auxilium-typing-dot"></div>
                 <div class="auxilium-typing-dot"></div>
-                <span>Assistant is typing...</span>
+                <span class="auxilium-typing-label">Assistant is typing...</span>
             </div>
             
             <div class="auxilium-chat-input">
@@ -113,6 +114,9 @@ class ChatUI {
                     <button id="auxilium-send-btn" class="auxilium-send-btn" disabled>
                         <img src="${this.pluginPath}/images/send-icon.png" width="20" height="20" alt="Send" class="auxilium-icon" />
                     </button>
+                    <button id="auxilium-stop-btn" class="auxilium-send-btn auxilium-stop-btn" title="Stop generating" aria-label="Stop generating" style="display: none;">
+                        <span class="auxilium-stop-icon"></span>
+                    </button>
                 </div>
                 <div class="auxilium-input-footer">
                     <small>Powered by OpenAuxilium</small>
@@ -132,7 +136,9 @@ class ChatUI {
         this.elements.messages = chatWindow.querySelector('#auxilium-messages');
         this.elements.input = chatWindow.querySelector('#auxilium-message-input');
         this.elements.sendBtn = chatWindow.querySelector('#auxilium-send-btn');
+        this.elements.stopBtn = chatWindow.querySelector('#auxilium-stop-btn');
         this.elements.typing = chatWindow.querySelector('#auxilium-typing');
+        this.elements.typingLabel = chatWindow.querySelector('.auxilium-typing-label');
         this.elements.error = chatWindow.querySelector('#auxilium-error');
         this.elements.clearBtn = chatWindow.querySelector('#auxilium-clear-btn');
         this.elements.closeBtn = chatWindow.querySelector('#auxilium-close-btn');
@@ -168,6 +174,13 @@ class ChatUI {
             this._handleSendMessage();
         });
 
+        // Stop button
+        this.elements.stopBtn.addEventListener('click', () => {
+            if (this.callbacks.onStopGenerating) {
+                this.callbacks.onStopGenerating();
+            }
+        });
+
         // Input events
         this.elements.input.addEventListener('input', () => {
             this._handleInputChange();
@@ -280,6 +293,16 @@ class ChatUI {
         this.elements.messages.appendChild(messageEl);
         this.messageCount++;
         this._scrollToBottom();
+
+        return messageEl;
+    }
+
+    /**
+     * Replace the content of a message already in the chat
+     */
+    updateMessage(messageEl, content) {
+        messageEl.querySelector('.auxilium-message-text').innerHTML = this._formatMessage(content);
+        this._scrollToBottom();
     }
 
     /**
@@ -315,8 +338,10 @@ class ChatUI {
 
     /**
      * Show typing indicator
+     * @param {string} [label] - Text next to the dots, such as the position in the server queue
      */
-    showTyping() {
+    showTyping(label = 'Assistant is typing...') {
+        this.elements.typingLabel.textContent = label;
         this.elements.typing.style.display = 'flex';
         this._scrollToBottom();
     }
@@ -328,6 +353,14 @@ class ChatUI {
         this.elements.typing.style.display = 'none';
     }
 
+    /**
+     * Swap the send button for the stop button while a response is generated
+     */
+    setGenerating(isGenerating) {
+        this.elements.sendBtn.style.display = isGenerating ? 'none' : 'flex';
+        this.elements.stopBtn.style.display = isGenerating ? 'flex' : 'none';
+    }
+
     /**
      * Show error message
      */
@@ -374,6 +407,7 @@ class ChatUI {
     onMessageSend(callback) { this.callbacks.onMessageSend = callback; }
     onClose(callback) { this.callbacks.onClose = callback; }
     onClearHistory(callback) { this.callbacks.onClearHistory = callback; }
+    onStopGenerating(callback) { this.callbacks.onStopGenerating = callback; }
 
     /**
      * Destroy the UI
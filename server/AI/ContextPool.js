@@ -0,0 +1,203 @@
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'ContextPool' });
+
+/**
+ * Pool of shared LLaMA contexts handing out context sequences to sessions.
+ * When every sequence is taken, the least recently used idle one is evicted.
+ */
+export class ContextPool {
+    /**
+     * @param {LlamaModel} model - Loaded model used to create the contexts
+     * @param {Object} options - Pool options
+     * @param {number} [options.contexts] - Number of contexts to create
+     * @param {number} [options.sequencesPerContext] - Sequences allocated in each context
+     * @param {number} [options.contextSize] - Context size of each context, defaults to the library's choice
+     * @param {function(string): void} [options.onEvict] - Called with the key of an evicted sequence before it is disposed
+     */
+    constructor(model, { contexts = 1, sequencesPerContext = 8, contextSize = null, onEvict = null } = {}) {
+        this.model = model;
+        this.contextCount = contexts;
+        this.sequencesPerContext = sequencesPerContext;
+        this.contextSize = contextSize;
+        this.onEvict = onEvict;
+        this.contexts = [];
+        this.leases = new Map(); // key -> { sequence, context, inUse, lastUsed }
+        this.lock = Promise.resolve();
+        this.evictions = 0;
+    }
+
+    /**
+     * Create the pooled contexts
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        for (let i = 0; i < this.contextCount; i++) {
+            const context = await this.model.createContext({
+                sequences: this.sequencesPerContext,
+                ...(this.contextSize && { contextSize: this.contextSize })
+            });
+            this.contexts.push(context);
+        }
+
+        log.info(`Created ${this.contextCount} context(s) with ${this.sequencesPerContext} sequences each`);
+    }
+
+    /**
+     * Total number of sequences the pool can hand out
+     * @returns {number}
+     */
+    get totalSequences() {
+        return this.contextCount * this.sequencesPerContext;
+    }
+
+    /**
+     * Number of tokens each sequence can hold, as created rather than requested
+     * @returns {number|null} - Null before initialize()
+     */
+    get sequenceContextSize() {
+        return this.contexts.length > 0 ? this.contexts[0].contextSize : null;
+    }
+
+    /**
+     * Get the sequence of a key, allocating one if needed, and mark it in use
+     * @param {string} key - Lease owner (session ID)
+     * @returns {Promise<LlamaContextSequence>}
+     */
+    async acquire(key) {
+        return this._withLock(async () => {
+            let lease = this.leases.get(key);
+
+            if (!lease) {
+                let context = this.contexts.find(candidate => candidate.sequencesLeft > 0);
+                if (!context) {
+                    context = await this._evictIdle();
+                }
+
+                lease = {
+                    sequence: context.getSequence(),
+                    context,
+                    inUse: false,
+                    lastUsed: Date.now()
+                };
+                this.leases.set(key, lease);
+            }
+
+            lease.inUse = true;
+            lease.lastUsed = Date.now();
+            return lease.sequence;
+        });
+    }
+
+    /**
+     * Mark a sequence as idle, it stays allocated until it gets evicted or freed
+     * @param {string} key - Lease owner
+     */
+    release(key) {
+        const lease = this.leases.get(key);
+        if (lease) {
+            lease.inUse = false;
+            lease.lastUsed = Date.now();
+        }
+    }
+
+    /**
+     * Dispose the sequence of a key and return it to the pool
+     * @param {string} key - Lease owner
+     * @returns {Promise<void>}
+     */
+    async free(key) {
+        return this._withLock(async () => {
+            const lease = this.leases.get(key);
+            if (!lease) {
+                return;
+            }
+
+            this.leases.delete(key);
+            await lease.sequence.dispose();
+        });
+    }
+
+    /**
+     * Get pool usage information
+     * @returns {Object}
+     */
+    getStatus() {
+        let inUse = 0;
+        for (const lease of this.leases.values()) {
+            if (lease.inUse) {
+                inUse++;
+            }
+        }
+
+        return {
+            contexts: this.contexts.length,
+            totalSequences: this.totalSequences,
+            allocatedSequences: this.leases.size,
+            sequencesInUse: inUse,
+            evictions: this.evictions
+        };
+    }
+
+    /**
+     * Dispose every context of the pool
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        this.leases.clear();
+
+        for (const context of this.contexts) {
+            try {
+                await context.dispose();
+            } catch (error) {
+                log.error('Error disposing context', { error });
+            }
+        }
+
+        this.contexts = [];
+    }
+
+    /**
+     * Evict the least recently used idle sequence
+     * @returns {Promise<LlamaContext>} - Context the freed sequence belonged to
+     */
+    async _evictIdle() {
+        let oldestKey = null;
+        let oldest = null;
+
+        for (const [key, lease] of this.leases) {
+            if (!lease.inUse && (!oldest || lease.lastUsed < oldest.lastUsed)) {
+                oldestKey = key;
+                oldest = lease;
+            }
+        }
+
+        if (!oldest) {
+            const error = new Error('No free context sequence available');
+            error.status = 503;
+            throw error;
+        }
+
+        if (this.onEvict) {
+            this.onEvict(oldestKey);
+        }
+
+        this.leases.delete(oldestKey);
+        await oldest.sequence.dispose();
+        this.evictions++;
+
+        log.info('Evicted idle sequence', { key: oldestKey });
+        return oldest.context;
+    }
+
+    /**
+     * Run pool mutations one at a time so concurrent acquisitions don't race for the same sequence
+     * @param {function(): Promise<*>} fn - Operation to run
+     * @returns {Promise<*>}
+     */
+    _withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => {});
+        return run;
+    }
+}
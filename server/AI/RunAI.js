@@ -14,9 +14,12 @@ export class RunAI {
     /**
      * Create a new conversation session
      * @param {string} sessionId - Unique session identifier
+     * @param {Object} [options] - Implementation specific options
+     * @param {string} [options.persona] - Persona the session starts with
+     * @param {Array<Object>} [options.actions] - Page actions the model can call through the client
      * @returns {Promise<string>} - Returns the session ID
      */
-    async createSession(sessionId) {
+    async createSession(sessionId, options = {}) {
         throw new Error('createSession method must be implemented');
     }
 
@@ -24,12 +27,48 @@ export class RunAI {
      * Send a message and get a response
      * @param {string} sessionId - Session identifier
      * @param {string} message - User message
+     * @param {Object} [options] - Implementation specific options
+     * @param {AbortSignal} [options.signal] - Cancels the message when aborted
      * @returns {Promise<string>} - AI response
      */
-    async sendMessage(sessionId, message) {
+    async sendMessage(sessionId, message, options = {}) {
         throw new Error('sendMessage method must be implemented');
     }
 
+    /**
+     * Send a message and stream the response as it is generated.
+     * Implementations without streaming support fall back to sendMessage
+     * and emit the whole response as a single chunk.
+     * @param {string} sessionId - Session identifier
+     * @param {string} message - User message
+     * @param {function(string): void} onChunk - Called with each generated text chunk
+     * @param {Object} [options] - Implementation specific options
+     * @returns {Promise<string>} - Complete AI response
+     */
+    async sendMessageStream(sessionId, message, onChunk, options = {}) {
+        const response = await this.sendMessage(sessionId, message, options);
+        onChunk(response);
+        return response;
+    }
+
+    /**
+     * Send a message and get the response with its metadata, such as the
+     * knowledge base sources it is based on. Implementations without
+     * metadata answer with no sources.
+     * @param {string} sessionId - Session identifier
+     * @param {string} message - User message
+     * @param {Object} [options] - Implementation specific options
+     * @param {function(string): void} [options.onChunk] - Streams the response when set
+     * @returns {Promise<{response: string, sources: Array<Object>}>}
+     */
+    async sendMessageWithMeta(sessionId, message, options = {}) {
+        const response = options.onChunk ?
+            await this.sendMessageStream(sessionId, message, options.onChunk, options) :
+            await this.sendMessage(sessionId, message, options);
+
+        return { response, sources: [] };
+    }
+
     /**
      * Get conversation history for a session
      * @param {string} sessionId - Session identifier
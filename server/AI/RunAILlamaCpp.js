@@ -1,21 +1,26 @@
-import { getLlama, LlamaChatSession } from 'node-llama-cpp';
-import { RunAI } from './RunAI.js';
+import path from 'path';
+import { getLlama, LlamaChatSession, defineChatSessionFunction } from 'node-llama-cpp';
 import { v4 as uuidv4 } from 'uuid';
+import { RunAIBase } from './RunAIBase.js';
+import { ContextPool } from './ContextPool.js';
+import { readCount, readPositiveCount } from '../Config/env.js';
+
+// Knowledge base chunks are a few hundred tokens, no need for the model's full context
+const EMBEDDING_CONTEXT_SIZE = 2048;
 
 /**
  * Implementation of RunAI with queue management for concurrent conversations using LLaMA C++ bindings
  */
-export class RunAILlamaCpp extends RunAI {
-    constructor() {
-        super();
+export class RunAILlamaCpp extends RunAIBase {
+    /**
+     * @param {Object} [options] - Implementation options, see RunAIBase
+     */
+    constructor(options = {}) {
+        super(options);
         this.llama = null;
         this.model = null;
-        this.sessions = new Map(); // sessionId -> { session, history, context }
-        this.isInitialized = false;
-        this.processingQueue = [];
-        this.currentlyProcessing = false;
-        this.maxConcurrentSessions = 10;
-        this.systemRole = process.env.AI_SYSTEM_ROLE || 'You are a helpful assistant.';
+        this.contextPool = null;
+        this.embeddingContext = null;
     }
 
     /**
@@ -24,302 +29,341 @@ export class RunAILlamaCpp extends RunAI {
      */
     async initialize(modelPath) {
         try {
-            console.log('[RunAILlamaCpp] Initializing LLaMA...');
+            this.log.info('Initializing LLaMA...');
             this.llama = await getLlama();
 
-            console.log('[RunAILlamaCpp] Loading model:', modelPath);
+            this.log.info('Loading model', { modelPath });
             this.model = await this.llama.loadModel({
                 modelPath: modelPath
             });
+            this.modelName = path.basename(modelPath, '.gguf');
+
+            // Sessions share a few large contexts instead of owning one each
+            this.contextPool = new ContextPool(this.model, {
+                contexts: readPositiveCount(process.env, 'AI_CONTEXTS', 1),
+                sequencesPerContext: readPositiveCount(process.env, 'AI_SEQUENCES_PER_CONTEXT', 8),
+                contextSize: readCount(process.env, 'AI_CONTEXT_SIZE', 0) || null,
+                onEvict: (sessionId) => this._evictSession(sessionId)
+            });
+            await this.contextPool.initialize();
+
+            if (this.maxParallelGenerations > this.contextPool.totalSequences) {
+                this.log.warn(`AI_PARALLEL_GENERATIONS (${this.maxParallelGenerations}) exceeds the ${this.contextPool.totalSequences} pooled sequences`);
+            }
+
+            await this._restoreSessions();
+            await this._initializeKnowledgeBase();
 
             this.isInitialized = true;
-            console.log('[RunAILlamaCpp] Model initialized successfully');
+            this.log.info('Model initialized successfully');
         } catch (error) {
-            console.error('[RunAILlamaCpp] Failed to initialize model:', error);
+            this.log.error('Failed to initialize model', { error });
             throw new Error(`Failed to initialize LLaMA model: ${error.message}`);
         }
     }
 
     /**
-     * Create a new conversation session
-     * @param {string} sessionId - Optional session ID, generates one if not provided
-     * @returns {Promise<string>} - Returns the session ID
+     * Generate a response with the session's chat session
+     * @param {string} sessionId - Session identifier
+     * @param {Object} sessionData - Session data
+     * @param {string} message - User message
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object|null} options.tools - Tools exposed to the model as chat functions
+     * @param {Object|null} options.schema - JSON schema enforced with a grammar
+     * @param {Object} options.generation - Generation settings
+     * @returns {Promise<string>} - Raw model output
      */
-    async createSession(sessionId = null) {
-        if (!this.isInitialized) {
-            throw new Error('Model not initialized. Call initialize() first.');
-        }
-
-        if (this.sessions.size >= this.maxConcurrentSessions) {
-            throw new Error(`Maximum concurrent sessions (${this.maxConcurrentSessions}) reached`);
+    async _generate(sessionId, sessionData, message, { onChunk, signal, tools, schema, generation }) {
+        try {
+            const chatSession = await this._acquireChatSession(sessionId, sessionData);
+
+            // Prepare message with the session's system prompt reinforced for better compliance
+            const reinforcedMessage = `System: ${sessionData.systemPrompt}\n\nUser: ${message}`;
+
+            // An aborted signal stops the generation and returns what was generated so far
+            return await chatSession.prompt(reinforcedMessage, {
+                ...this._toPromptOptions(generation),
+                ...(tools && { functions: this._toChatFunctions(tools) }),
+                ...await this._toGrammarOptions(schema),
+                onTextChunk: onChunk,
+                signal,
+                stopOnAbortSignal: true
+            });
+        } finally {
+            this.contextPool.release(sessionId);
         }
+    }
 
-        const id = sessionId || uuidv4();
-
-        if (this.sessions.has(id)) {
-            throw new Error(`Session ${id} already exists`);
-        }
+    /**
+     * Generate a reply to a sessionless conversation on a temporary context sequence
+     * @param {Array<{role: string, content: string}>} messages - Conversation, ending with a user message
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object|null} options.schema - JSON schema enforced with a grammar
+     * @param {Object} options.generation - Generation settings
+     * @returns {Promise<string>} - Raw model output
+     */
+    async _generateCompletion(messages, { onChunk, signal, schema, generation }) {
+        const leaseKey = `completion:${uuidv4()}`;
+        const contextSequence = await this.contextPool.acquire(leaseKey);
+        const chatSession = new LlamaChatSession({ contextSequence });
 
         try {
-            const context = await this.model.createContext();
-            const session = new LlamaChatSession({
-                contextSequence: context.getSequence(),
-                systemPrompt: this.systemRole
-            });
-
-            this.sessions.set(id, {
-                session,
-                context,
-                history: [],
-                createdAt: new Date(),
-                lastActivity: new Date(),
-                systemRoleSet: true
+            const prompt = messages[messages.length - 1].content;
+            chatSession.setChatHistory(this._toChatHistory(messages.slice(0, -1)));
+
+            return await chatSession.prompt(prompt, {
+                ...this._toPromptOptions(generation),
+                ...await this._toGrammarOptions(schema),
+                onTextChunk: onChunk,
+                signal,
+                stopOnAbortSignal: true
             });
-
-            console.log(`[RunAILlamaCpp] Created session: ${id} with system role`);
-            return id;
-        } catch (error) {
-            console.error('[RunAILlamaCpp] Failed to create session:', error);
-            throw new Error(`Failed to create session: ${error.message}`);
+        } finally {
+            chatSession.dispose();
+            await this.contextPool.free(leaseKey);
         }
     }
 
     /**
-     * Send a message and get a response (with queue management)
-     * @param {string} sessionId - Session identifier
-     * @param {string} message - User message
-     * @returns {Promise<string>} - AI response
+     * Compute the embedding of a text with the loaded model, creating its embedding context on first use
+     * @param {string} text - Text to embed
+     * @returns {Promise<Array<number>>}
      */
-    async sendMessage(sessionId, message) {
-        if (!this.sessions.has(sessionId)) {
-            throw new Error(`Session ${sessionId} not found`);
-        }
-
-        return new Promise((resolve, reject) => {
-            this.processingQueue.push({
-                sessionId,
-                message,
-                resolve,
-                reject,
-                timestamp: Date.now()
+    async embed(text) {
+        if (!this.embeddingContext) {
+            const embeddingContext = this.model.createEmbeddingContext({
+                contextSize: EMBEDDING_CONTEXT_SIZE
+            }).catch((error) => {
+                // A failed creation, such as running out of memory, is retried at the next embedding
+                if (this.embeddingContext === embeddingContext) {
+                    this.embeddingContext = null;
+                }
+                throw error;
             });
+            this.embeddingContext = embeddingContext;
+        }
 
-            this._processQueue();
-        });
+        const embeddingContext = await this.embeddingContext;
+        const embedding = await embeddingContext.getEmbeddingFor(text);
+        return Array.from(embedding.vector);
     }
 
     /**
-     * Process the message queue (ensures single-threaded AI processing)
+     * Get the chat session of a session, re-hydrating it from its history
+     * when its context sequence was evicted or never allocated
+     * @param {string} sessionId - Session identifier
+     * @param {Object} sessionData - Session data
+     * @returns {Promise<LlamaChatSession>}
      */
-    async _processQueue() {
-        if (this.currentlyProcessing || this.processingQueue.length === 0) {
-            return;
-        }
-
-        this.currentlyProcessing = true;
+    async _acquireChatSession(sessionId, sessionData) {
+        const contextSequence = await this.contextPool.acquire(sessionId);
 
-        while (this.processingQueue.length > 0) {
-            const request = this.processingQueue.shift();
+        if (!sessionData.session) {
+            sessionData.session = new LlamaChatSession({
+                contextSequence,
+                systemPrompt: sessionData.systemPrompt
+            });
 
-            try {
-                const response = await this._processMessage(request.sessionId, request.message);
-                request.resolve(response);
-            } catch (error) {
-                request.reject(error);
+            const messages = this._getContextMessages(sessionData);
+            if (messages.length > 1 || sessionData.context.summary) {
+                sessionData.session.setChatHistory(this._toChatHistory(messages));
+                this.log.info(`Re-hydrated session from ${messages.length - 1} messages`, { sessionId });
             }
         }
 
-        this.currentlyProcessing = false;
+        return sessionData.session;
     }
 
     /**
-     * Actually process a single message
+     * Replace the conversation of a live chat session with the compacted one
      * @param {string} sessionId - Session identifier
-     * @param {string} message - User message
-     * @returns {Promise<string>} - AI response
+     * @param {Object} sessionData - Session data
      */
-    async _processMessage(sessionId, message) {
-        const sessionData = this.sessions.get(sessionId);
-
-        if (!sessionData) {
-            throw new Error(`Session ${sessionId} not found`);
-        }
-
-        try {
-            console.log(`[RunAILlamaCpp] Processing message for session ${sessionId}`);
-
-            // Add user message to history
-            sessionData.history.push({
-                role: 'user',
-                content: message,
-                timestamp: new Date()
-            });
-
-            // Prepare message with system role reinforcement for better compliance
-            const reinforcedMessage = `System: ${this.systemRole}\n\nUser: ${message}`;
-
-            // Get AI response
-            const rawResponse = await sessionData.session.prompt(reinforcedMessage);
-            
-            // Clean up response by trimming trailing whitespace and empty lines
-            const response = rawResponse.trim();
-
-            // Add AI response to history (store original user message)
-            sessionData.history.push({
-                role: 'assistant',
-                content: response,
-                timestamp: new Date()
-            });
-
-            // Update last activity
-            sessionData.lastActivity = new Date();
-
-            console.log(`[RunAILlamaCpp] Generated response for session ${sessionId}`);
-            return response;
-
-        } catch (error) {
-            console.error(`[RunAILlamaCpp] Error processing message for session ${sessionId}:`, error);
-            throw new Error(`Failed to process message: ${error.message}`);
+    _onContextCompacted(sessionId, sessionData) {
+        if (sessionData.session) {
+            sessionData.session.setChatHistory(this._toChatHistory(this._getContextMessages(sessionData)));
         }
     }
 
     /**
-     * Get conversation history for a session
+     * Replace the last turn of the live chat session with the one kept in the history,
+     * so the model sees the same conversation whether or not the session was evicted
      * @param {string} sessionId - Session identifier
-     * @returns {Promise<Array>} - Array of message objects
+     * @param {Object} sessionData - Session data
      */
-    async getHistory(sessionId) {
-        const sessionData = this.sessions.get(sessionId);
+    _onTurnRewritten(sessionId, sessionData) {
+        this._onContextCompacted(sessionId, sessionData);
+    }
 
-        if (!sessionData) {
-            throw new Error(`Session ${sessionId} not found`);
-        }
+    /**
+     * Count the tokens of a text with the model's tokenizer
+     * @param {string} text - Text
+     * @returns {number}
+     */
+    countTokens(text) {
+        return this.model.tokenize(text).length;
+    }
 
-        return sessionData.history;
+    /**
+     * Get the context size of the pooled sequences
+     * @returns {number|null}
+     */
+    _getContextSize() {
+        return this.contextPool ? this.contextPool.sequenceContextSize : null;
+    }
+
+    /**
+     * Each message is sent with the system prompt reinforced, see _generate()
+     * @param {Object} sessionData - Session data
+     * @returns {number}
+     */
+    _getTurnOverheadTokens(sessionData) {
+        return this.countTokens(`System: ${sessionData.systemPrompt}\n\nUser: `);
     }
 
     /**
-     * Delete a conversation session
+     * Drop the chat session of a session whose context sequence is being evicted
      * @param {string} sessionId - Session identifier
-     * @returns {Promise<void>}
      */
-    async deleteSession(sessionId) {
+    _evictSession(sessionId) {
         const sessionData = this.sessions.get(sessionId);
 
-        if (!sessionData) {
-            throw new Error(`Session ${sessionId} not found`);
-        }
-
-        try {
-            // Clean up context resources
-            if (sessionData.context) {
-                await sessionData.context.dispose();
-            }
-
-            this.sessions.delete(sessionId);
-            console.log(`[RunAILlamaCpp] Deleted session: ${sessionId}`);
-        } catch (error) {
-            console.error(`[RunAILlamaCpp] Error deleting session ${sessionId}:`, error);
-            throw new Error(`Failed to delete session: ${error.message}`);
+        if (sessionData && sessionData.session) {
+            sessionData.session.dispose();
+            sessionData.session = null;
         }
     }
 
     /**
-     * Get queue status
-     * @returns {Object} - Queue information
+     * Convert generation settings to node-llama-cpp prompt options
+     * @param {Object} generation - temperature, topP, maxTokens, repeatPenalty and stop, all optional
+     * @returns {Object} - Prompt options
      */
-    getQueueStatus() {
+    _toPromptOptions({ temperature, topP, maxTokens, repeatPenalty, stop }) {
         return {
-            queueLength: this.processingQueue.length,
-            isProcessing: this.currentlyProcessing,
-            activeSessions: this.sessions.size,
-            maxSessions: this.maxConcurrentSessions
+            ...(temperature !== undefined && { temperature }),
+            ...(topP !== undefined && { topP }),
+            ...(maxTokens !== undefined && { maxTokens }),
+            ...(repeatPenalty !== undefined && { repeatPenalty: { penalty: repeatPenalty } }),
+            ...(stop !== undefined && { customStopTriggers: stop })
         };
     }
 
     /**
-     * Get all active sessions info
-     * @returns {Array} - Array of session info
+     * Build the prompt options constraining the output to a JSON schema, checked with checkJsonSchema()
+     * @param {Object|null} schema - JSON schema
+     * @returns {Promise<Object>} - Grammar option, empty without schema
      */
-    getActiveSessions() {
-        const sessions = [];
-        for (const [id, data] of this.sessions) {
-            sessions.push({
-                id,
-                createdAt: data.createdAt,
-                lastActivity: data.lastActivity,
-                messageCount: data.history.length
-            });
+    async _toGrammarOptions(schema) {
+        if (!schema) {
+            return {};
         }
-        return sessions;
+
+        return { grammar: await this.llama.createGrammarForJsonSchema(schema) };
     }
 
     /**
-     * Update the system role for the AI
-     * @param {string} newRole - New system role/prompt
+     * Convert the tools of a generation to node-llama-cpp chat functions
+     * @param {Object} tools - Tool definitions and call function
+     * @returns {Object} - Chat functions by name
      */
-    updateSystemRole(newRole) {
-        if (!newRole || typeof newRole !== 'string') {
-            throw new Error('System role must be a non-empty string');
+    _toChatFunctions(tools) {
+        const functions = {};
+
+        for (const { name, description, parameters } of tools.definitions) {
+            functions[name] = defineChatSessionFunction({
+                description,
+                ...(parameters && { params: parameters }),
+                handler: (params) => tools.call(name, params)
+            });
         }
 
-        this.systemRole = newRole;
-        console.log('[RunAILlamaCpp] System role updated');
+        return functions;
     }
 
     /**
-     * Get current system role
-     * @returns {string} - Current system role
+     * Convert chat messages to the node-llama-cpp chat history format. Tool calls
+     * become function calls of the model response that follows them.
+     * @param {Array<Object>} messages - System, user, tool and assistant messages
+     * @returns {Array} - Chat history items
      */
-    getSystemRole() {
-        return this.systemRole;
+    _toChatHistory(messages) {
+        const history = [];
+        let functionCalls = [];
+
+        for (const entry of messages) {
+            switch (entry.role) {
+                case 'system':
+                    history.push({ type: 'system', text: entry.content });
+                    break;
+                case 'user':
+                    history.push({ type: 'user', text: entry.content });
+                    break;
+                case 'tool':
+                    functionCalls.push({
+                        type: 'functionCall',
+                        name: entry.name,
+                        params: entry.arguments,
+                        result: 'error' in entry ? { error: entry.error } : entry.result
+                    });
+                    break;
+                default:
+                    history.push({ type: 'model', response: [...functionCalls, entry.content] });
+                    functionCalls = [];
+            }
+        }
+
+        return history;
     }
 
     /**
-     * Clean up old inactive sessions
-     * @param {number} maxAgeMinutes - Maximum age in minutes before cleanup
+     * Return the session's context sequence to the pool
+     * @param {string} sessionId - Session identifier
+     * @param {Object} sessionData - Session data
+     * @returns {Promise<void>}
      */
-    async cleanupInactiveSessions(maxAgeMinutes = 60) {
-        const now = new Date();
-        const sessionsToDelete = [];
-
-        for (const [id, data] of this.sessions) {
-            const ageMinutes = (now - data.lastActivity) / (1000 * 60);
-            if (ageMinutes > maxAgeMinutes) {
-                sessionsToDelete.push(id);
-            }
+    async _releaseSession(sessionId, sessionData) {
+        if (sessionData.session) {
+            sessionData.session.dispose();
+            sessionData.session = null;
         }
 
-        for (const sessionId of sessionsToDelete) {
-            try {
-                await this.deleteSession(sessionId);
-                console.log(`[RunAILlamaCpp] Cleaned up inactive session: ${sessionId}`);
-            } catch (error) {
-                console.error(`[RunAILlamaCpp] Error cleaning up session ${sessionId}:`, error);
-            }
-        }
+        await this.contextPool.free(sessionId);
+    }
 
-        return sessionsToDelete.length;
+    /**
+     * Get queue status
+     * @returns {Object} - Queue information
+     */
+    getQueueStatus() {
+        return {
+            ...super.getQueueStatus(),
+            contextPool: this.contextPool ? this.contextPool.getStatus() : null
+        };
     }
 
     /**
-     * Clean up all resources
+     * Dispose the pooled contexts and the model
      * @returns {Promise<void>}
      */
-    async cleanup() {
-        console.log('[RunAILlamaCpp] Starting cleanup...');
-
-        // Clear processing queue
-        this.processingQueue = [];
-
-        // Clean up all sessions
-        const sessionIds = Array.from(this.sessions.keys());
-        for (const sessionId of sessionIds) {
+    async _disposeResources() {
+        // Clean up the embedding context
+        if (this.embeddingContext) {
             try {
-                await this.deleteSession(sessionId);
+                await (await this.embeddingContext).dispose();
             } catch (error) {
-                console.error(`[RunAILlamaCpp] Error cleaning up session ${sessionId}:`, error);
+                this.log.error('Error disposing embedding context', { error });
             }
+            this.embeddingContext = null;
+        }
+
+        // Clean up pooled contexts
+        if (this.contextPool) {
+            await this.contextPool.dispose();
         }
 
         // Clean up model resources
@@ -327,11 +371,8 @@ export class RunAILlamaCpp extends RunAI {
             try {
                 await this.model.dispose();
             } catch (error) {
-                console.error('[RunAILlamaCpp] Error disposing model:', error);
+                this.log.error('Error disposing model', { error });
             }
         }
-
-        this.isInitialized = false;
-        console.log('[RunAILlamaCpp] Cleanup completed');
     }
 }
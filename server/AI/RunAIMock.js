@@ -0,0 +1,161 @@
+import { RunAIBase } from './RunAIBase.js';
+import { readCount } from '../Config/env.js';
+
+const EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Deterministic RunAI implementation for development and tests, no model required.
+ * Replies with scripted responses in order, or echoes the message when none are configured.
+ */
+export class RunAIMock extends RunAIBase {
+    /**
+     * @param {Object} [options] - Implementation options, see RunAIBase
+     * @param {Array<string>} [options.responses] - Scripted responses, used in a loop
+     * @param {number} [options.latencyMs] - Delay before each streamed word
+     * @param {number} [options.failEvery] - Fail every Nth generation (0 disables failures)
+     */
+    constructor({
+        responses = parseResponses(process.env.MOCK_RESPONSES),
+        latencyMs = readCount(process.env, 'MOCK_LATENCY_MS', 0),
+        failEvery = readCount(process.env, 'MOCK_FAIL_EVERY', 0),
+        ...options
+    } = {}) {
+        super(options);
+        this.responses = responses;
+        this.latencyMs = latencyMs;
+        this.failEvery = failEvery;
+        this.generationCount = 0;
+        this.modelName = 'mock';
+    }
+
+    /**
+     * Restore stored sessions, there is no model to load
+     * @param {string} modelPath - Unused
+     */
+    async initialize(modelPath) {
+        await this._restoreSessions();
+        await this._initializeKnowledgeBase();
+        this.isInitialized = true;
+        this.log.info('Mock backend ready');
+    }
+
+    /**
+     * Reply to a session message. A message like `tool:getStock {"sku": "A1"}`
+     * calls the tool and replies with its result.
+     * @param {string} sessionId - Session identifier
+     * @param {Object} sessionData - Session data
+     * @param {string} message - User message
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object|null} options.tools - Tools the message can call
+     * @param {Object} options.generation - Generation settings, maxTokens and stop are applied
+     * @returns {Promise<string>} - Generated output, partial when aborted
+     */
+    async _generate(sessionId, sessionData, message, { onChunk, signal, tools, generation }) {
+        const toolCall = tools && message.match(/^tool:(\S+)\s*(.*)$/s);
+
+        if (toolCall) {
+            const result = await tools.call(toolCall[1], toolCall[2] ? JSON.parse(toolCall[2]) : {});
+            return this._reply(`Tool result: ${JSON.stringify(result)}`, { onChunk, signal, generation });
+        }
+
+        return this._reply(message, { onChunk, signal, generation });
+    }
+
+    /**
+     * Reply to the last message of a sessionless conversation
+     * @param {Array<{role: string, content: string}>} messages - Conversation, ending with a user message
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object} options.generation - Generation settings, maxTokens and stop are applied
+     * @returns {Promise<string>} - Generated output, partial when aborted
+     */
+    async _generateCompletion(messages, { onChunk, signal, generation }) {
+        return this._reply(messages[messages.length - 1].content, { onChunk, signal, generation });
+    }
+
+    /**
+     * Compute a bag-of-words embedding: texts sharing words get similar vectors
+     * @param {string} text - Text to embed
+     * @returns {Promise<Array<number>>}
+     */
+    async embed(text) {
+        const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+        for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+            let hash = 0;
+            for (const char of word) {
+                hash = (hash * 31 + char.charCodeAt(0)) % EMBEDDING_DIMENSIONS;
+            }
+            vector[hash]++;
+        }
+
+        return vector;
+    }
+
+    /**
+     * Stream the next scripted response, or the echoed message
+     * @param {string} message - Message to reply to
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object} [options.generation] - Each word counts as a token for maxTokens, the reply ends at a stop sequence
+     * @returns {Promise<string>} - Generated output, partial when aborted
+     */
+    async _reply(message, { onChunk, signal, generation = {} }) {
+        this.generationCount++;
+
+        if (this.failEvery > 0 && this.generationCount % this.failEvery === 0) {
+            throw new Error('Mock generation failure');
+        }
+
+        let response = this.responses.length > 0 ?
+            this.responses[(this.generationCount - 1) % this.responses.length] :
+            `Echo: ${message}`;
+
+        for (const sequence of generation.stop || []) {
+            const index = response.indexOf(sequence);
+            if (index !== -1) {
+                response = response.slice(0, index);
+            }
+        }
+
+        const words = (response.match(/\S+\s*/g) || []).slice(0, generation.maxTokens);
+
+        let output = '';
+        for (const word of words) {
+            if (this.latencyMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+            }
+
+            if (signal && signal.aborted) {
+                break;
+            }
+
+            output += word;
+            onChunk(word);
+        }
+
+        return output;
+    }
+}
+
+/**
+ * Parse the MOCK_RESPONSES setting, a JSON array of strings
+ * @param {string} value - Raw setting
+ * @returns {Array<string>}
+ */
+function parseResponses(value) {
+    if (!value) {
+        return [];
+    }
+
+    const responses = JSON.parse(value);
+    if (!Array.isArray(responses)) {
+        throw new Error('MOCK_RESPONSES must be a JSON array of strings');
+    }
+
+    return responses;
+}
@@ -0,0 +1,285 @@
+import { RunAIBase } from './RunAIBase.js';
+
+// Rounds of tool calls answered before the model must reply without tools
+const MAX_TOOL_ROUNDS = 8;
+
+/**
+ * Implementation of RunAI delegating inference to an OpenAI-compatible HTTP endpoint
+ * (llama.cpp server, vLLM, Ollama, LM Studio...). Sessions, the queue and the tools stay local.
+ */
+export class RunAIOpenAI extends RunAIBase {
+    /**
+     * @param {Object} [options] - Implementation options, see RunAIBase
+     */
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, '');
+        this.apiKey = process.env.OPENAI_API_KEY || '';
+        this.modelName = process.env.OPENAI_MODEL || '';
+        this.embeddingModelName = process.env.OPENAI_EMBEDDING_MODEL || '';
+    }
+
+    /**
+     * Check the endpoint is reachable and resolve the model to use
+     * @param {string} modelPath - Unused, the model is served by the remote endpoint
+     */
+    async initialize(modelPath) {
+        try {
+            this.log.info('Connecting', { baseUrl: this.baseUrl });
+            const response = await this._request('/models', { method: 'GET' });
+            const { data: models = [] } = await response.json();
+
+            // Use the first served model when none is configured
+            if (!this.modelName) {
+                if (models.length === 0) {
+                    throw new Error('No model served by the endpoint, set OPENAI_MODEL');
+                }
+                this.modelName = models[0].id;
+            }
+
+            await this._restoreSessions();
+            await this._initializeKnowledgeBase();
+
+            this.isInitialized = true;
+            this.log.info('Using model', { model: this.modelName });
+        } catch (error) {
+            this.log.error('Failed to initialize backend', { error });
+            throw new Error(`Failed to initialize OpenAI-compatible backend: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate a response by streaming a chat completion from the endpoint
+     * @param {string} sessionId - Session identifier
+     * @param {Object} sessionData - Session data
+     * @param {string} message - User message
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object|null} options.schema - JSON schema requested as the response format
+     * @param {Object|null} options.tools - Tools offered to the model as OpenAI functions
+     * @param {Object} options.generation - Generation settings
+     * @returns {Promise<string>} - Raw model output
+     */
+    async _generate(sessionId, sessionData, message, { onChunk, signal, schema, tools, generation }) {
+        // Recorded tool calls can't be replayed without their call IDs, the answers are enough
+        const messages = [
+            ...this._getContextMessages(sessionData)
+                .filter(({ role }) => role !== 'tool')
+                .map(({ role, content }) => ({ role, content })),
+            { role: 'user', content: message }
+        ];
+
+        return this._streamChat(messages, { onChunk, signal, schema, tools }, generation);
+    }
+
+    /**
+     * Compute the embedding of a text with the endpoint's /embeddings route
+     * @param {string} text - Text to embed
+     * @returns {Promise<Array<number>>}
+     */
+    async embed(text) {
+        const response = await this._request('/embeddings', {
+            method: 'POST',
+            body: JSON.stringify({
+                model: this.embeddingModelName || this.modelName,
+                input: text
+            })
+        });
+
+        const { data } = await response.json();
+        return data[0].embedding;
+    }
+
+    /**
+     * Forward a sessionless conversation to the endpoint as is
+     * @param {Array<{role: string, content: string}>} messages - Conversation, ending with a user message
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object|null} options.schema - JSON schema requested as the response format
+     * @param {Object} options.generation - Generation settings
+     * @returns {Promise<string>} - Raw model output
+     */
+    async _generateCompletion(messages, { onChunk, signal, schema, generation }) {
+        return this._streamChat(messages, { onChunk, signal, schema }, generation);
+    }
+
+    /**
+     * Stream a chat completion from the endpoint. Tool calls the model makes are
+     * run and their results sent back until it answers.
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} options - Generation options
+     * @param {function(string): void} options.onChunk - Called with each generated text chunk
+     * @param {AbortSignal} options.signal - Stops the generation when aborted
+     * @param {Object|null} [options.schema] - JSON schema requested as the response format
+     * @param {Object|null} [options.tools] - Tool definitions and call function
+     * @param {Object} [generation] - Generation settings: temperature, topP, maxTokens, repeatPenalty, stop
+     * @returns {Promise<string>} - Raw model output
+     */
+    async _streamChat(messages, { onChunk, signal, schema = null, tools = null }, generation = {}) {
+        const conversation = [...messages];
+        let output = '';
+
+        for (let round = 0; ; round++) {
+            const offerTools = tools && round < MAX_TOOL_ROUNDS;
+            const { content, toolCalls } = await this._streamRound(conversation, {
+                onChunk,
+                signal,
+                schema,
+                functions: offerTools ? this._toFunctions(tools) : null
+            }, generation);
+            output += content;
+
+            if (!offerTools || toolCalls.length === 0) {
+                return output;
+            }
+
+            conversation.push({
+                role: 'assistant',
+                content: content || null,
+                tool_calls: toolCalls.map(({ id, name, args }) => ({ id, type: 'function', function: { name, arguments: args } }))
+            });
+
+            for (const { id, name, args } of toolCalls) {
+                let result;
+                try {
+                    result = await tools.call(name, args ? JSON.parse(args) : {});
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        throw error;
+                    }
+                    result = { error: `Invalid arguments of ${name}: ${error.message}` };
+                }
+                conversation.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(result ?? null) });
+            }
+        }
+    }
+
+    /**
+     * Convert the tools of a generation to OpenAI function tools
+     * @param {Object} tools - Tool definitions and call function
+     * @returns {Array<Object>}
+     */
+    _toFunctions(tools) {
+        return tools.definitions.map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: {
+                name,
+                description,
+                parameters: parameters || { type: 'object', properties: {} }
+            }
+        }));
+    }
+
+    /**
+     * Stream one chat completion from the endpoint
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} options - Generation options, see _streamChat()
+     * @param {Array<Object>|null} options.functions - Function tools offered to the model
+     * @param {Object} generation - Generation settings
+     * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, args: string}>}>} - Generated
+     *     text and the tool calls the model made, their arguments as JSON
+     */
+    async _streamRound(messages, { onChunk, signal, schema, functions }, generation) {
+        const response = await this._request('/chat/completions', {
+            method: 'POST',
+            body: JSON.stringify({
+                model: this.modelName,
+                messages,
+                stream: true,
+                ...(functions && { tools: functions }),
+                // Unset settings are undefined and left out of the body
+                temperature: generation.temperature,
+                top_p: generation.topP,
+                max_tokens: generation.maxTokens,
+                stop: generation.stop,
+                // Not part of the OpenAI API, understood by llama.cpp's server
+                repeat_penalty: generation.repeatPenalty,
+                ...(schema && {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'response', schema, strict: true }
+                    }
+                })
+            }),
+            signal
+        });
+
+        let content = '';
+        // Calls stream in pieces, the first one of each carries its ID and name
+        const toolCalls = [];
+        for await (const data of this._readEvents(response)) {
+            const delta = data.choices && data.choices[0] && data.choices[0].delta;
+            if (delta && delta.content) {
+                content += delta.content;
+                onChunk(delta.content);
+            }
+
+            for (const { index = 0, id, function: call = {} } of (delta && delta.tool_calls) || []) {
+                if (!toolCalls[index]) {
+                    toolCalls[index] = { id: id || `call_${index}`, name: '', args: '' };
+                }
+                toolCalls[index].name += call.name || '';
+                toolCalls[index].args += call.arguments || '';
+            }
+        }
+
+        return { content, toolCalls: toolCalls.filter(Boolean) };
+    }
+
+    /**
+     * Call the endpoint, throwing on HTTP errors
+     * @param {string} endpoint - Path relative to the base URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>}
+     */
+    async _request(endpoint, options) {
+        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+            }
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const detail = body.error && (body.error.message || body.error);
+            throw new Error(`Backend responded with HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * Parse the Server-Sent Events of a streamed completion
+     * @param {Response} response - Streaming fetch response
+     * @returns {AsyncGenerator<Object>} - Parsed event payloads, until [DONE]
+     */
+    async *_readEvents(response) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, boundary).trim();
+                buffer = buffer.slice(boundary + 1);
+
+                if (!line.startsWith('data:')) {
+                    continue;
+                }
+
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') {
+                    return;
+                }
+
+                yield JSON.parse(payload);
+            }
+        }
+    }
+}
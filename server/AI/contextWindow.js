@@ -0,0 +1,86 @@
+/**
+ * Context window management: when a session nears the context limit, the model
+ * sees a compacted history (a summary of the older turns, or nothing of them)
+ * while the session keeps its full transcript
+ */
+
+/**
+ * How older turns are compacted: summarized by the model, dropped, or kept
+ * (the backend then fails or shifts the context on its own)
+ */
+export const CONTEXT_STRATEGIES = ['summarize', 'truncate', 'none'];
+
+// Context size assumed when neither the backend nor CONTEXT_MAX_TOKENS tell it
+export const DEFAULT_CONTEXT_TOKENS = 4096;
+
+/**
+ * Read the context window settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {{strategy: string, maxTokens: number|null, compactAt: number, keepTurns: number}}
+ */
+export function readContextConfig(env) {
+    const strategy = env.CONTEXT_STRATEGY || 'summarize';
+
+    if (!CONTEXT_STRATEGIES.includes(strategy)) {
+        throw new Error(`CONTEXT_STRATEGY must be one of ${CONTEXT_STRATEGIES.join(', ')}`);
+    }
+
+    const compactAt = env.CONTEXT_COMPACT_AT ? Number(env.CONTEXT_COMPACT_AT) : 0.75;
+    if (!(compactAt > 0 && compactAt <= 1)) {
+        throw new Error('CONTEXT_COMPACT_AT must be a number between 0 and 1');
+    }
+
+    return {
+        strategy,
+        // Null uses the context size of the backend
+        maxTokens: parseInt(env.CONTEXT_MAX_TOKENS, 10) || null,
+        compactAt,
+        keepTurns: env.CONTEXT_KEEP_TURNS === undefined ? 4 : Math.max(0, parseInt(env.CONTEXT_KEEP_TURNS, 10) || 0)
+    };
+}
+
+/**
+ * Estimate the token count of a text for backends without a tokenizer,
+ * about four characters per token in English
+ * @param {string} text - Text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Find where the turns of a history start, a turn being a user message with
+ * the tool calls and the answer that follow it
+ * @param {Array<Object>} history - History entries
+ * @param {number} from - Index of the first entry to look at
+ * @returns {Array<number>} - Indexes of the user entries
+ */
+export function findTurnStarts(history, from) {
+    const starts = [];
+
+    for (let index = from; index < history.length; index++) {
+        if (history[index].role === 'user') {
+            starts.push(index);
+        }
+    }
+
+    return starts;
+}
+
+/**
+ * Format history entries as a plain transcript for the summarizer
+ * @param {Array<Object>} entries - History entries
+ * @returns {string}
+ */
+export function formatTranscript(entries) {
+    return entries
+        .map((entry) => {
+            if (entry.role === 'tool') {
+                const outcome = 'error' in entry ? `failed: ${entry.error}` : `returned ${JSON.stringify(entry.result)}`;
+                return `Tool ${entry.name}(${JSON.stringify(entry.arguments)}) ${outcome}`;
+            }
+            return `${entry.role === 'user' ? 'User' : 'Assistant'}: ${entry.content}`;
+        })
+        .join('\n');
+}
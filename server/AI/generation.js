@@ -0,0 +1,136 @@
+/**
+ * Generation settings: server defaults, persona settings and per-request
+ * overrides, merged in that order and clamped by the configured limits
+ */
+
+import { createValidationError } from '../Errors/errors.js';
+
+/**
+ * Numeric settings and their valid ranges
+ */
+export const GENERATION_SETTINGS = {
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    maxTokens: { min: 1, max: 32768, integer: true },
+    repeatPenalty: { min: 1, max: 2 }
+};
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 64;
+
+/**
+ * Validate generation settings
+ * @param {Object} settings - temperature, topP, maxTokens, repeatPenalty and stop, all optional
+ * @param {string} [label] - Name of the settings in error messages
+ * @returns {Object} - Validated settings
+ * @throws {Error} - With status 400 when a setting is unknown or out of range
+ */
+export function validateGeneration(settings, label = 'generation') {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw createValidationError(`${label} must be an object`);
+    }
+
+    const validated = {};
+
+    for (const [setting, value] of Object.entries(settings)) {
+        if (value === undefined) {
+            continue;
+        }
+
+        if (setting === 'stop') {
+            validated.stop = validateStop(value, `${label}.stop`);
+            continue;
+        }
+
+        const range = GENERATION_SETTINGS[setting];
+
+        if (!range) {
+            throw createValidationError(`Unknown generation setting: ${setting}`);
+        }
+
+        if (typeof value !== 'number' || Number.isNaN(value) || value < range.min || value > range.max ||
+            (range.integer && !Number.isInteger(value))) {
+            throw createValidationError(`${label}.${setting} must be a number between ${range.min} and ${range.max}`);
+        }
+
+        validated[setting] = value;
+    }
+
+    return validated;
+}
+
+/**
+ * Merge layers of generation settings, later layers win, and clamp the result
+ * @param {Array<Object>} layers - Validated settings, from the lowest to the highest precedence
+ * @param {Object} [limits] - Maximum of each numeric setting
+ * @returns {Object} - Effective settings, unset ones are left to the backend
+ */
+export function resolveGeneration(layers, limits = {}) {
+    const resolved = Object.assign({}, ...layers);
+
+    for (const [setting, limit] of Object.entries(limits)) {
+        if (resolved[setting] !== undefined && resolved[setting] > limit) {
+            resolved[setting] = limit;
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Read the server defaults and limits from environment variables such as
+ * GENERATION_TEMPERATURE and GENERATION_LIMIT_MAX_TOKENS
+ * @param {Object} env - Environment variables
+ * @returns {{defaults: Object, limits: Object}}
+ */
+export function readGenerationConfig(env) {
+    const defaults = {};
+    const limits = {};
+
+    for (const setting of Object.keys(GENERATION_SETTINGS)) {
+        const name = toEnvName(setting);
+
+        if (env[`GENERATION_${name}`]) {
+            defaults[setting] = Number(env[`GENERATION_${name}`]);
+        }
+        if (env[`GENERATION_LIMIT_${name}`]) {
+            limits[setting] = Number(env[`GENERATION_LIMIT_${name}`]);
+        }
+    }
+
+    if (env.GENERATION_STOP) {
+        defaults.stop = JSON.parse(env.GENERATION_STOP);
+    }
+
+    return {
+        defaults: validateGeneration(defaults, 'GENERATION'),
+        limits: validateGeneration(limits, 'GENERATION_LIMIT')
+    };
+}
+
+/**
+ * Validate stop sequences
+ * @param {*} value - A string or an array of strings
+ * @param {string} label - Name of the setting in error messages
+ * @returns {Array<string>}
+ */
+function validateStop(value, label) {
+    const stop = typeof value === 'string' ? [value] : value;
+
+    if (!Array.isArray(stop) || stop.length > MAX_STOP_SEQUENCES ||
+        !stop.every(sequence => typeof sequence === 'string' && sequence.length > 0 && sequence.length <= MAX_STOP_LENGTH)) {
+        throw createValidationError(
+            `${label} must be up to ${MAX_STOP_SEQUENCES} strings of 1 to ${MAX_STOP_LENGTH} characters`);
+    }
+
+    return stop;
+}
+
+/**
+ * Convert a setting name to its environment variable suffix, maxTokens to MAX_TOKENS
+ * @param {string} setting - Setting name
+ * @returns {string}
+ */
+function toEnvName(setting) {
+    return setting.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+}
@@ -0,0 +1,305 @@
+/**
+ * The JSON schema subset structured output supports: what grammar-constrained
+ * sampling in node-llama-cpp can enforce. Other keywords would be silently
+ * ignored by the grammar, so schemas using them are rejected instead.
+ */
+
+const BASIC_TYPES = ['string', 'number', 'integer', 'boolean', 'null'];
+const STRING_FORMATS = ['date-time', 'time', 'date'];
+const COMMON_KEYWORDS = ['description', 'title', '$defs'];
+const TYPE_KEYWORDS = {
+    string: ['minLength', 'maxLength', 'format'],
+    object: ['properties', 'required', 'additionalProperties', 'minProperties', 'maxProperties'],
+    array: ['items', 'prefixItems', 'minItems', 'maxItems']
+};
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minProperties', 'maxProperties', 'minItems', 'maxItems'];
+
+/**
+ * Check that a JSON schema only uses the supported subset
+ * @param {Object} schema - JSON schema
+ * @throws {Error} - With status 422 when the schema is unsupported
+ */
+export function checkJsonSchema(schema) {
+    checkNode(schema, '$', {});
+}
+
+/**
+ * Find where a value doesn't match a schema checked with checkJsonSchema()
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON schema
+ * @returns {string|null} - Description of the first mismatch, null when the value matches
+ */
+export function findSchemaMismatch(value, schema) {
+    return matchNode(value, schema, '$', {});
+}
+
+/**
+ * Check a schema node and its children
+ * @param {*} node - Schema node
+ * @param {string} path - Location of the node, for error messages
+ * @param {Object} defs - Definitions $ref can point to
+ */
+function checkNode(node, path, defs) {
+    if (!isPlainObject(node)) {
+        throw createSchemaError(`${path} must be a schema object`);
+    }
+
+    const scope = node.$defs === undefined ? defs : { ...defs, ...node.$defs };
+    if (node.$defs !== undefined) {
+        if (!isPlainObject(node.$defs)) {
+            throw createSchemaError(`${path}.$defs must be an object`);
+        }
+        for (const [name, definition] of Object.entries(node.$defs)) {
+            checkNode(definition, `${path}.$defs.${name}`, scope);
+        }
+    }
+
+    if ('$ref' in node) {
+        checkKeywords(node, ['$ref'], path);
+        const name = typeof node.$ref === 'string' && node.$ref.startsWith('#/$defs/') && node.$ref.slice(8);
+        if (!name || !(name in scope)) {
+            throw createSchemaError(`${path}.$ref must point to a definition of $defs`);
+        }
+    } else if ('const' in node) {
+        checkKeywords(node, ['const'], path);
+        if (!isPrimitive(node.const)) {
+            throw createSchemaError(`${path}.const must be a string, number, boolean or null`);
+        }
+    } else if ('enum' in node) {
+        checkKeywords(node, ['enum'], path);
+        if (!Array.isArray(node.enum) || node.enum.length === 0 || !node.enum.every(isPrimitive)) {
+            throw createSchemaError(`${path}.enum must be a non-empty array of strings, numbers, booleans or null`);
+        }
+    } else if ('oneOf' in node) {
+        checkKeywords(node, ['oneOf'], path);
+        if (!Array.isArray(node.oneOf) || node.oneOf.length === 0) {
+            throw createSchemaError(`${path}.oneOf must be a non-empty array of schemas`);
+        }
+        node.oneOf.forEach((option, index) => checkNode(option, `${path}.oneOf[${index}]`, scope));
+    } else if (Array.isArray(node.type)) {
+        checkKeywords(node, ['type'], path);
+        if (node.type.length === 0 || !node.type.every(type => BASIC_TYPES.includes(type))) {
+            throw createSchemaError(`${path}.type lists can only contain ${BASIC_TYPES.join(', ')}`);
+        }
+    } else if (BASIC_TYPES.includes(node.type) || node.type === 'object' || node.type === 'array') {
+        checkKeywords(node, ['type', ...(TYPE_KEYWORDS[node.type] || [])], path);
+        checkTypeKeywords(node, path, scope);
+    } else if ('type' in node) {
+        throw createSchemaError(`${path}.type ${JSON.stringify(node.type)} is not supported`);
+    } else {
+        throw createSchemaError(`${path} needs a type, const, enum, oneOf or $ref`);
+    }
+}
+
+/**
+ * Check the keywords specific to a schema type
+ * @param {Object} node - Schema node with a single type
+ * @param {string} path - Location of the node
+ * @param {Object} scope - Definitions $ref can point to
+ */
+function checkTypeKeywords(node, path, scope) {
+    for (const keyword of COUNT_KEYWORDS) {
+        if (keyword in node && !(Number.isInteger(node[keyword]) && node[keyword] >= 0)) {
+            throw createSchemaError(`${path}.${keyword} must be a non-negative integer`);
+        }
+    }
+
+    if ('format' in node && !STRING_FORMATS.includes(node.format)) {
+        throw createSchemaError(`${path}.format must be one of ${STRING_FORMATS.join(', ')}`);
+    }
+
+    if ('properties' in node) {
+        if (!isPlainObject(node.properties)) {
+            throw createSchemaError(`${path}.properties must be an object`);
+        }
+        for (const [name, property] of Object.entries(node.properties)) {
+            checkNode(property, `${path}.properties.${name}`, scope);
+        }
+    }
+
+    if ('required' in node && !(Array.isArray(node.required) && node.required.every(name => typeof name === 'string'))) {
+        throw createSchemaError(`${path}.required must be an array of property names`);
+    }
+
+    if ('additionalProperties' in node && typeof node.additionalProperties !== 'boolean') {
+        checkNode(node.additionalProperties, `${path}.additionalProperties`, scope);
+    }
+
+    if ('items' in node) {
+        checkNode(node.items, `${path}.items`, scope);
+    }
+
+    if ('prefixItems' in node) {
+        if (!Array.isArray(node.prefixItems)) {
+            throw createSchemaError(`${path}.prefixItems must be an array of schemas`);
+        }
+        node.prefixItems.forEach((item, index) => checkNode(item, `${path}.prefixItems[${index}]`, scope));
+    }
+}
+
+/**
+ * Reject the keywords a schema node can't use
+ * @param {Object} node - Schema node
+ * @param {Array<string>} allowed - Keywords of the node kind
+ * @param {string} path - Location of the node
+ */
+function checkKeywords(node, allowed, path) {
+    const keyword = Object.keys(node).find(key => !allowed.includes(key) && !COMMON_KEYWORDS.includes(key));
+
+    if (keyword) {
+        throw createSchemaError(`keyword "${keyword}" at ${path} is not supported`);
+    }
+}
+
+/**
+ * Match a value against a schema node
+ * @param {*} value - Value
+ * @param {Object} node - Schema node
+ * @param {string} path - Location of the value
+ * @param {Object} defs - Definitions $ref can point to
+ * @returns {string|null} - First mismatch
+ */
+function matchNode(value, node, path, defs) {
+    const scope = node.$defs ? { ...defs, ...node.$defs } : defs;
+
+    if ('$ref' in node) {
+        return matchNode(value, scope[node.$ref.slice(8)], path, scope);
+    }
+
+    if ('const' in node) {
+        return value === node.const ? null : `${path} must be ${JSON.stringify(node.const)}`;
+    }
+
+    if ('enum' in node) {
+        return node.enum.includes(value) ? null : `${path} must be one of ${JSON.stringify(node.enum)}`;
+    }
+
+    if ('oneOf' in node) {
+        return node.oneOf.some(option => matchNode(value, option, path, scope) === null) ?
+            null : `${path} doesn't match any oneOf schema`;
+    }
+
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => hasType(value, type))) {
+        return `${path} must be of type ${types.join(' or ')}`;
+    }
+
+    if (typeof value === 'string') {
+        return matchCount([...value].length, node, 'minLength', 'maxLength', `${path} length`);
+    }
+
+    if (Array.isArray(value)) {
+        const prefixItems = node.prefixItems || [];
+
+        for (let index = 0; index < value.length; index++) {
+            const itemSchema = index < prefixItems.length ? prefixItems[index] : node.items;
+            const mismatch = itemSchema && matchNode(value[index], itemSchema, `${path}[${index}]`, scope);
+            if (mismatch) {
+                return mismatch;
+            }
+        }
+
+        return matchCount(value.length, node, 'minItems', 'maxItems', `${path} item count`);
+    }
+
+    if (isPlainObject(value)) {
+        const properties = node.properties || {};
+
+        for (const name of node.required || []) {
+            if (!(name in value)) {
+                return `${path}.${name} is required`;
+            }
+        }
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertySchema = name in properties ? properties[name] : node.additionalProperties;
+
+            if (propertySchema === false) {
+                return `${path}.${name} is not allowed`;
+            }
+
+            const mismatch = isPlainObject(propertySchema) &&
+                matchNode(propertyValue, propertySchema, `${path}.${name}`, scope);
+            if (mismatch) {
+                return mismatch;
+            }
+        }
+
+        return matchCount(Object.keys(value).length, node, 'minProperties', 'maxProperties', `${path} property count`);
+    }
+
+    return null;
+}
+
+/**
+ * Match a length or count against the min and max keywords of a node
+ * @param {number} count - Length or count
+ * @param {Object} node - Schema node
+ * @param {string} minKeyword - Keyword of the minimum
+ * @param {string} maxKeyword - Keyword of the maximum
+ * @param {string} label - Description of the count
+ * @returns {string|null} - Mismatch
+ */
+function matchCount(count, node, minKeyword, maxKeyword, label) {
+    if (minKeyword in node && count < node[minKeyword]) {
+        return `${label} must be at least ${node[minKeyword]}`;
+    }
+
+    if (maxKeyword in node && count > node[maxKeyword]) {
+        return `${label} must be at most ${node[maxKeyword]}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a value has a JSON schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON schema type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number';
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return isPlainObject(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Check whether a value is a non-array object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a JSON primitive
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPrimitive(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Build the 422 error of an unsupported schema
+ * @param {string} message - What is unsupported
+ * @returns {Error}
+ */
+function createSchemaError(message) {
+    const error = new Error(`Unsupported JSON schema: ${message}`);
+    error.status = 422;
+    return error;
+}
@@ -0,0 +1,35 @@
+/**
+ * Generation queue settings: how many requests may wait, for how long, and
+ * how long a generation may run once started
+ */
+
+import { readCount, readPositiveCount } from '../Config/env.js';
+
+// Generation time assumed to estimate waits before any generation finished
+export const DEFAULT_GENERATION_ESTIMATE_MS = 10000;
+
+/**
+ * Read the queue settings from environment variables. A time of 0 disables its limit.
+ * @param {Object} env - Environment variables
+ * @returns {{maxLength: number, maxWaitMs: number, generationTimeoutMs: number}}
+ */
+export function readQueueConfig(env) {
+    return {
+        maxLength: readPositiveCount(env, 'QUEUE_MAX_LENGTH', 100),
+        maxWaitMs: readCount(env, 'QUEUE_MAX_WAIT_MS', 60000),
+        generationTimeoutMs: readCount(env, 'GENERATION_TIMEOUT_MS', 120000)
+    };
+}
+
+/**
+ * Build the error of a request the queue can't take or didn't start in time
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds after which the client may retry
+ * @returns {Error}
+ */
+export function createBusyError(message, retryAfter) {
+    const error = new Error(message);
+    error.status = 503;
+    error.retryAfter = retryAfter;
+    return error;
+}
@@ -0,0 +1,64 @@
+/**
+ * Token usage accounting: the usage of each generation, and running totals of them
+ */
+
+/**
+ * Build the usage of a generation
+ * @param {number} promptTokens - Tokens the model was given
+ * @param {number} completionTokens - Tokens it generated
+ * @param {number} durationMs - Generation time
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, durationMs: number,
+ *     tokensPerSecond: number}}
+ */
+export function measureUsage(promptTokens, completionTokens, durationMs) {
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        durationMs,
+        tokensPerSecond: toTokensPerSecond(completionTokens, durationMs)
+    };
+}
+
+/**
+ * Create empty usage totals
+ * @returns {{generations: number, promptTokens: number, completionTokens: number, totalTokens: number,
+ *     durationMs: number}}
+ */
+export function createUsageTotals() {
+    return { generations: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, durationMs: 0 };
+}
+
+/**
+ * Add the usage of a generation to totals
+ * @param {Object} totals - Totals from createUsageTotals(), updated in place
+ * @param {Object} usage - Usage from measureUsage()
+ * @returns {Object} - The totals
+ */
+export function addUsage(totals, usage) {
+    totals.generations++;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.totalTokens += usage.totalTokens;
+    totals.durationMs += usage.durationMs;
+    return totals;
+}
+
+/**
+ * Add the average generation speed to totals
+ * @param {Object} totals - Usage totals
+ * @returns {Object} - Copy of the totals with tokensPerSecond
+ */
+export function withTokensPerSecond(totals) {
+    return { ...totals, tokensPerSecond: toTokensPerSecond(totals.completionTokens, totals.durationMs) };
+}
+
+/**
+ * Compute a generation speed, rounded to a tenth
+ * @param {number} tokens - Generated tokens
+ * @param {number} durationMs - Time it took
+ * @returns {number}
+ */
+function toTokensPerSecond(tokens, durationMs) {
+    return durationMs > 0 ? Math.round(tokens / durationMs * 10000) / 10 : 0;
+}
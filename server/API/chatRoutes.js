@@ -1,30 +1,79 @@
 import express from 'express';
+import { getErrorStatus, createDisconnectSignal, setRetryAfter, countError, getClientId } from './utils.js';
+import { requireRole, hasRole, requireSessionToken } from './middleware.js';
+import { limitRate, createRateLimits, readRateLimitConfig } from './rateLimit.js';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'API' });
 
 /**
  * Create chat routes for the AI conversation API
  * @param {RunAI} aiInstance - Instance of the AI implementation
+ * @param {Object} [options] - Route options
+ * @param {Object} [options.rateLimits] - Abuse limits, see createRateLimits()
+ * @param {Metrics|null} [options.metrics] - Counts the failed messages and extractions by type
  * @returns {express.Router} - Express router with chat endpoints
  */
-export function createChatRoutes(aiInstance) {
+export function createChatRoutes(aiInstance, {
+    rateLimits = createRateLimits(readRateLimitConfig(process.env)),
+    metrics = null
+} = {}) {
     const router = express.Router();
 
+    // Every /sessions/:sessionId route needs the session's token
+    router.param('sessionId', requireSessionToken(aiInstance));
+
+    // Generations are limited per client IP and per session, session creation per client IP
+    const limitSessions = limitRate(rateLimits.sessions, req => req.ip, 'Too many sessions created');
+    const limitClientMessages = limitRate(rateLimits.messages, req => req.ip, 'Too many messages');
+    const limitSessionMessages = limitRate(rateLimits.sessionMessages, req => req.params.sessionId,
+        'Too many messages in this session');
+
     /**
      * POST /chat/sessions
      * Create a new conversation session
      */
-    router.post('/sessions', async (req, res) => {
+    router.post('/sessions', limitSessions, async (req, res) => {
         try {
-            const { sessionId } = req.body;
-            const id = await aiInstance.createSession(sessionId);
+            const { sessionId, persona, actions } = req.body;
+
+            if (persona !== undefined && typeof persona !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'persona must be a string'
+                });
+            }
+
+            if (actions !== undefined && !Array.isArray(actions)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'actions must be an array'
+                });
+            }
+
+            // A known ID would let its chooser into the session, only admins pick IDs
+            if (sessionId !== undefined && sessionId !== null && !hasRole(req, 'admin')) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'sessionId can only be chosen with an admin API key'
+                });
+            }
+
+            const { sessionId: id, token } = aiInstance.createSessionWithToken ?
+                await aiInstance.createSessionWithToken(sessionId, { persona, actions }) :
+                { sessionId: await aiInstance.createSession(sessionId, { persona, actions }), token: null };
             
             res.status(201).json({
                 success: true,
                 sessionId: id,
+                sessionToken: token,
+                persona: persona || 'default',
+                actions: (actions || []).map(({ name }) => name),
                 message: 'Session created successfully'
             });
         } catch (error) {
-            console.error('[API] Error creating session:', error);
-            res.status(400).json({
+            log.error('Error creating session', { error });
+            res.status(error.status || 400).json({
                 success: false,
                 error: error.message
             });
@@ -35,10 +84,10 @@ export function createChatRoutes(aiInstance) {
      * POST /chat/sessions/:sessionId/messages
      * Send a message to a specific session
      */
-    router.post('/sessions/:sessionId/messages', async (req, res) => {
+    router.post('/sessions/:sessionId/messages', limitClientMessages, limitSessionMessages, async (req, res) => {
         try {
             const { sessionId } = req.params;
-            const { message } = req.body;
+            const { message, schema, generation } = req.body;
 
             if (!message || typeof message !== 'string') {
                 return res.status(400).json({
@@ -47,19 +96,270 @@ export function createChatRoutes(aiInstance) {
                 });
             }
 
-            const response = await aiInstance.sendMessage(sessionId, message);
+            if (message.length > rateLimits.maxMessageLength) {
+                return res.status(413).json({
+                    success: false,
+                    error: `Message must be at most ${rateLimits.maxMessageLength} characters`
+                });
+            }
+
+            if (schema !== undefined && !isSchema(schema)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'schema must be a JSON schema object'
+                });
+            }
+
+            const result = await aiInstance.sendMessageWithMeta(sessionId, message, {
+                schema,
+                generation,
+                signal: createDisconnectSignal(res),
+                requestId: req.id,
+                client: getClientId(req)
+            });
             
             res.json({
                 success: true,
-                response,
+                response: result.response,
+                ...(schema && { data: result.data }),
+                sources: result.sources,
+                generation: result.generation,
+                usage: result.usage,
                 sessionId,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            console.error('[API] Error sending message:', error);
-            
-            const statusCode = error.message.includes('not found') ? 404 : 500;
-            res.status(statusCode).json({
+            logMessageError('Error sending message', error);
+            countError(metrics, error);
+
+            setRetryAfter(res, error);
+            res.status(getErrorStatus(error)).json(createErrorBody(error));
+        }
+    });
+
+    /**
+     * POST /chat/sessions/:sessionId/messages/stream
+     * Send a message and stream the response as Server-Sent Events
+     */
+    router.post('/sessions/:sessionId/messages/stream', limitClientMessages, limitSessionMessages, async (req, res) => {
+        const { sessionId } = req.params;
+        const { message, schema, generation } = req.body;
+
+        if (!message || typeof message !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Message is required and must be a string'
+            });
+        }
+
+        if (message.length > rateLimits.maxMessageLength) {
+            return res.status(413).json({
+                success: false,
+                error: `Message must be at most ${rateLimits.maxMessageLength} characters`
+            });
+        }
+
+        if (schema !== undefined && !isSchema(schema)) {
+            return res.status(400).json({
+                success: false,
+                error: 'schema must be a JSON schema object'
+            });
+        }
+
+        // Headers are only sent once the message waits or generates, so errors raised
+        // before that (unknown session, full queue) keep their regular JSON status
+        const startStream = () => {
+            if (!res.headersSent) {
+                res.status(200).set({
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+                res.flushHeaders();
+            }
+        };
+
+        try {
+            const result = await aiInstance.sendMessageWithMeta(sessionId, message, {
+                schema,
+                generation,
+                onChunk: (text) => {
+                    startStream();
+                    sendEvent(res, 'chunk', { text });
+                },
+                // Waiting for a generation slot, so the client can show its place in line
+                onQueued: (queue) => {
+                    startStream();
+                    sendEvent(res, 'queue', queue);
+                },
+                // The client runs the action and posts its result to the actions route
+                onAction: (call) => {
+                    startStream();
+                    sendEvent(res, 'action', call);
+                },
+                signal: createDisconnectSignal(res),
+                requestId: req.id,
+                client: getClientId(req)
+            });
+
+            startStream();
+            sendEvent(res, 'done', {
+                success: true,
+                response: result.response,
+                ...(schema && { data: result.data }),
+                sources: result.sources,
+                generation: result.generation,
+                usage: result.usage,
+                sessionId,
+                timestamp: new Date().toISOString()
+            });
+            res.end();
+        } catch (error) {
+            logMessageError('Error streaming message', error);
+            countError(metrics, error);
+
+            // The status the error would have had, the stream already answered 200
+            if (res.headersSent) {
+                sendEvent(res, 'error', { ...createErrorBody(error), status: getErrorStatus(error) });
+                return res.end();
+            }
+
+            setRetryAfter(res, error);
+            res.status(getErrorStatus(error)).json(createErrorBody(error));
+        }
+    });
+
+    /**
+     * POST /chat/sessions/:sessionId/actions/:callId
+     * Send the outcome of a page action the model called during a streamed message
+     */
+    router.post('/sessions/:sessionId/actions/:callId', (req, res) => {
+        try {
+            const { sessionId, callId } = req.params;
+            const { result, error } = req.body;
+
+            if (!aiInstance.resolveAction) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Page actions not supported by this AI implementation'
+                });
+            }
+
+            if (error !== undefined && typeof error !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'error must be a string'
+                });
+            }
+
+            aiInstance.resolveAction(sessionId, callId, { result, error });
+
+            res.json({
+                success: true,
+                message: `Action call ${callId} resolved`
+            });
+        } catch (error) {
+            log.error('Error resolving action', { error: error.message });
+
+            res.status(getErrorStatus(error)).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * POST /chat/extract
+     * Extract data following a JSON schema from a text, without a session
+     */
+    router.post('/extract', requireRole('client'), limitClientMessages, async (req, res) => {
+        try {
+            const { text, schema, instructions, generation } = req.body;
+
+            if (!aiInstance.extract) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Structured output not supported by this AI implementation'
+                });
+            }
+
+            if (!text || typeof text !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'text is required and must be a string'
+                });
+            }
+
+            if (text.length > rateLimits.maxMessageLength) {
+                return res.status(413).json({
+                    success: false,
+                    error: `text must be at most ${rateLimits.maxMessageLength} characters`
+                });
+            }
+
+            if (!isSchema(schema)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'schema is required and must be a JSON schema object'
+                });
+            }
+
+            if (instructions !== undefined && typeof instructions !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'instructions must be a string'
+                });
+            }
+
+            const data = await aiInstance.extract(text, schema, {
+                instructions,
+                generation,
+                signal: createDisconnectSignal(res),
+                requestId: req.id,
+                client: getClientId(req)
+            });
+
+            res.json({
+                success: true,
+                data,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logMessageError('Error extracting data', error);
+            countError(metrics, error);
+
+            setRetryAfter(res, error);
+            res.status(getErrorStatus(error)).json(createErrorBody(error));
+        }
+    });
+
+    /**
+     * DELETE /chat/sessions/:sessionId/messages/pending
+     * Cancel the queued and in-flight messages of a session
+     */
+    router.delete('/sessions/:sessionId/messages/pending', async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+
+            if (!aiInstance.cancelMessages) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message cancellation not supported by this AI implementation'
+                });
+            }
+
+            const cancelledCount = await aiInstance.cancelMessages(sessionId);
+
+            res.json({
+                success: true,
+                message: `Cancelled ${cancelledCount} pending messages`,
+                cancelledMessages: cancelledCount
+            });
+        } catch (error) {
+            log.error('Error cancelling messages', { error });
+
+            res.status(getErrorStatus(error)).json({
                 success: false,
                 error: error.message
             });
@@ -82,10 +382,9 @@ export function createChatRoutes(aiInstance) {
                 messageCount: history.length
             });
         } catch (error) {
-            console.error('[API] Error getting history:', error);
+            log.error('Error getting history', { error });
             
-            const statusCode = error.message.includes('not found') ? 404 : 500;
-            res.status(statusCode).json({
+            res.status(getErrorStatus(error)).json({
                 success: false,
                 error: error.message
             });
@@ -106,10 +405,9 @@ export function createChatRoutes(aiInstance) {
                 message: `Session ${sessionId} deleted successfully`
             });
         } catch (error) {
-            console.error('[API] Error deleting session:', error);
+            log.error('Error deleting session', { error });
             
-            const statusCode = error.message.includes('not found') ? 404 : 500;
-            res.status(statusCode).json({
+            res.status(getErrorStatus(error)).json({
                 success: false,
                 error: error.message
             });
@@ -118,11 +416,25 @@ export function createChatRoutes(aiInstance) {
 
     /**
      * GET /chat/status
-     * Get AI status and queue information
+     * Get AI status and queue information, sessions, usage and moderation counts are only shown to admins
      */
     router.get('/status', async (req, res) => {
         try {
             const queueStatus = aiInstance.getQueueStatus();
+
+            // The widget checks the server is up with it
+            if (!hasRole(req, 'admin')) {
+                return res.json({
+                    success: true,
+                    status: {
+                        queueLength: queueStatus.queueLength,
+                        isProcessing: queueStatus.isProcessing,
+                        activeGenerations: queueStatus.activeGenerations,
+                        maxParallelGenerations: queueStatus.maxParallelGenerations
+                    }
+                });
+            }
+
             const activeSessions = aiInstance.getActiveSessions ? 
                 aiInstance.getActiveSessions() : [];
             
@@ -130,11 +442,13 @@ export function createChatRoutes(aiInstance) {
                 success: true,
                 status: {
                     ...queueStatus,
-                    activeSessions
+                    activeSessions,
+                    usage: aiInstance.getUsage ? aiInstance.getUsage() : null,
+                    moderation: aiInstance.getModerationStats ? aiInstance.getModerationStats() : null
                 }
             });
         } catch (error) {
-            console.error('[API] Error getting status:', error);
+            log.error('Error getting status', { error });
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -146,7 +460,7 @@ export function createChatRoutes(aiInstance) {
      * POST /chat/cleanup
      * Clean up inactive sessions
      */
-    router.post('/cleanup', async (req, res) => {
+    router.post('/cleanup', requireRole('admin'), async (req, res) => {
         try {
             const { maxAgeMinutes = 60 } = req.body;
             
@@ -165,7 +479,7 @@ export function createChatRoutes(aiInstance) {
                 });
             }
         } catch (error) {
-            console.error('[API] Error during cleanup:', error);
+            log.error('Error during cleanup', { error });
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -173,11 +487,47 @@ export function createChatRoutes(aiInstance) {
         }
     });
 
+    /**
+     * GET /chat/tools
+     * List the tools the model can call
+     */
+    router.get('/tools', requireRole('admin'), (req, res) => {
+        if (!aiInstance.getTools) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tools not supported by this AI implementation'
+            });
+        }
+
+        res.json({
+            success: true,
+            tools: aiInstance.getTools()
+        });
+    });
+
+    /**
+     * GET /chat/moderation/flags
+     * List the turns the moderation rules flagged, for review
+     */
+    router.get('/moderation/flags', requireRole('admin'), (req, res) => {
+        if (!aiInstance.getFlaggedTurns) {
+            return res.status(404).json({
+                success: false,
+                error: 'Moderation not supported by this AI implementation'
+            });
+        }
+
+        res.json({
+            success: true,
+            turns: aiInstance.getFlaggedTurns()
+        });
+    });
+
     /**
      * GET /chat/system-role
      * Get current system role
      */
-    router.get('/system-role', async (req, res) => {
+    router.get('/system-role', requireRole('admin'), async (req, res) => {
         try {
             if (aiInstance.getSystemRole) {
                 const systemRole = aiInstance.getSystemRole();
@@ -192,7 +542,7 @@ export function createChatRoutes(aiInstance) {
                 });
             }
         } catch (error) {
-            console.error('[API] Error getting system role:', error);
+            log.error('Error getting system role', { error });
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -204,7 +554,7 @@ export function createChatRoutes(aiInstance) {
      * PUT /chat/system-role
      * Update system role
      */
-    router.put('/system-role', async (req, res) => {
+    router.put('/system-role', requireRole('admin'), async (req, res) => {
         try {
             const { systemRole } = req.body;
 
@@ -216,7 +566,7 @@ export function createChatRoutes(aiInstance) {
             }
 
             if (aiInstance.updateSystemRole) {
-                aiInstance.updateSystemRole(systemRole);
+                await aiInstance.updateSystemRole(systemRole);
                 res.json({
                     success: true,
                     message: 'System role updated successfully',
@@ -229,7 +579,7 @@ export function createChatRoutes(aiInstance) {
                 });
             }
         } catch (error) {
-            console.error('[API] Error updating system role:', error);
+            log.error('Error updating system role', { error });
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -238,4 +588,59 @@ export function createChatRoutes(aiInstance) {
     });
 
     return router;
-}
\ No newline at end of file
+}
+
+/**
+ * Write a single Server-Sent Event to a streaming response
+ * @param {express.Response} res - Express response in event-stream mode
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Build the JSON error body for a failed message, keeping any partial
+ * response when the generation was cancelled and the seconds to wait
+ * before retrying when the server was too busy
+ * @param {Error} error - Error raised while sending the message
+ * @returns {Object} - Response body
+ */
+function createErrorBody(error) {
+    return {
+        success: false,
+        error: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter }),
+        ...(error.cancelled && {
+            cancelled: true,
+            response: error.partialResponse || ''
+        })
+    };
+}
+
+/**
+ * Check that a request field holds a JSON schema object
+ * @param {*} schema - Request field
+ * @returns {boolean}
+ */
+function isSchema(schema) {
+    return typeof schema === 'object' && schema !== null && !Array.isArray(schema);
+}
+
+/**
+ * Log a message error, cancellations are expected and only logged as info
+ * @param {string} label - Log message
+ * @param {Error} error - Error raised while sending the message
+ */
+function logMessageError(label, error) {
+    if (error.cancelled) {
+        log.info('Message generation cancelled');
+    } else {
+        log.error(label, { error });
+    }
+}
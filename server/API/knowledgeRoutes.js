@@ -0,0 +1,127 @@
+import express from 'express';
+import { getErrorStatus } from './utils.js';
+import { requireRole } from './middleware.js';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'API' });
+
+/**
+ * Create knowledge base management routes
+ * @param {KnowledgeBase} knowledgeBase - Documents retrieved to ground the answers
+ * @returns {express.Router} - Express router with document and search endpoints
+ */
+export function createKnowledgeRoutes(knowledgeBase) {
+    const router = express.Router();
+
+    // Managing and searching the documents is for admins, visitors get passages through their answers
+    router.use(requireRole('admin'));
+
+    /**
+     * GET /chat/knowledge/documents
+     * List the stored documents
+     */
+    router.get('/documents', (req, res) => {
+        const documents = knowledgeBase.listDocuments();
+
+        res.json({
+            success: true,
+            documents,
+            count: documents.length
+        });
+    });
+
+    /**
+     * POST /chat/knowledge/documents
+     * Add a document, or replace the document with the same source
+     */
+    router.post('/documents', async (req, res) => {
+        try {
+            const { source, content, format, title } = req.body;
+
+            if (!source || typeof source !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'source is required and must be a string'
+                });
+            }
+
+            if (!content || typeof content !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'content is required and must be a string'
+                });
+            }
+
+            const document = await knowledgeBase.addDocument({ source, content, format, title });
+
+            res.status(201).json({
+                success: true,
+                document,
+                message: 'Document stored successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Error storing document');
+        }
+    });
+
+    /**
+     * DELETE /chat/knowledge/documents/:documentId
+     * Remove a document
+     */
+    router.delete('/documents/:documentId', async (req, res) => {
+        try {
+            const { documentId } = req.params;
+            await knowledgeBase.removeDocument(documentId);
+
+            res.json({
+                success: true,
+                message: `Document ${documentId} deleted successfully`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting document');
+        }
+    });
+
+    /**
+     * POST /chat/knowledge/search
+     * Find the passages a message would be answered with
+     */
+    router.post('/search', async (req, res) => {
+        try {
+            const { query, topK } = req.body;
+
+            if (!query || typeof query !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'query is required and must be a string'
+                });
+            }
+
+            const passages = await knowledgeBase.search(query, Number.isInteger(topK) && topK > 0 ? topK : undefined);
+
+            res.json({
+                success: true,
+                passages
+            });
+        } catch (error) {
+            sendError(res, error, 'Error searching knowledge base');
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Log an error and answer with its status
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error raised by the knowledge base
+ * @param {string} label - Log message
+ */
+function sendError(res, error, label) {
+    log.error(label, { error: error.message });
+
+    res.status(getErrorStatus(error)).json({
+        success: false,
+        error: error.message
+    });
+}
@@ -0,0 +1,22 @@
+import express from 'express';
+import { requireRole } from './middleware.js';
+import { METRICS_CONTENT_TYPE } from '../Metrics/Metrics.js';
+
+/**
+ * Create the route Prometheus scrapes
+ * @param {Metrics} metrics - Server metrics
+ * @returns {express.Router} - Express router with the metrics endpoint
+ */
+export function createMetricsRoutes(metrics) {
+    const router = express.Router();
+
+    /**
+     * GET /metrics
+     * Get the metrics in the Prometheus text format, for admins since they show the traffic
+     */
+    router.get('/', requireRole('admin'), (req, res) => {
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    return router;
+}
@@ -1,11 +1,37 @@
 import cors from 'cors';
 import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { ApiKeyStore, ROLES } from '../Auth/ApiKeyStore.js';
+import { logger, runWithLogContext } from '../Logging/Logger.js';
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+// Request IDs sent by clients or proxies are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const log = logger.child({ component: 'HTTP' });
 
 /**
  * Set up common middleware for the API server
  * @param {express.Application} app - Express application
+ * @param {Object} [options] - Middleware options
+ * @param {ApiKeyStore} [options.apiKeys] - Keys granting roles to the requests presenting them
+ * @param {string} [options.bodyLimit] - Largest body of non-admin requests, in the express.json format
+ * @param {Metrics|null} [options.metrics] - Counts the requests and their durations by route
+ * @param {boolean} [options.localAdmin] - Let local requests in as admin while no key is configured
  */
-export function setupMiddleware(app) {
+export function setupMiddleware(app, {
+    apiKeys = new ApiKeyStore(),
+    bodyLimit = process.env.BODY_LIMIT || '100kb',
+    metrics = null,
+    localAdmin = process.env.LOCAL_ADMIN === 'true'
+} = {}) {
+    // First, so every response carries the request ID, even rejected ones
+    app.use(trackRequest);
+
+    if (metrics) {
+        app.use(measureRequests(metrics));
+    }
+
     // Enable CORS for all routes
     app.use(cors({
         origin: process.env.ALLOWED_ORIGINS ?
@@ -19,20 +45,25 @@ export function setupMiddleware(app) {
             ],
         credentials: true,
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Session-Token', 'X-Requested-With', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id', 'Retry-After']
     }));
 
-    // Parse JSON bodies
-    app.use(express.json({ limit: '10mb' }));
+    // Client IPs, which the rate limits count, come from X-Forwarded-For behind a proxy
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+    }
 
-    // Parse URL-encoded bodies
-    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    app.use(authenticate(apiKeys, { localAdmin }));
 
-    // Request logging middleware
+    // Parse JSON and URL-encoded bodies, only admins upload large ones such as documents
+    const parsers = {
+        admin: [express.json({ limit: '10mb' }), express.urlencoded({ extended: true, limit: '10mb' })],
+        public: [express.json({ limit: bodyLimit }), express.urlencoded({ extended: true, limit: bodyLimit })]
+    };
     app.use((req, res, next) => {
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] ${req.method} ${req.path}`);
-        next();
+        const [json, urlencoded] = parsers[hasRole(req, 'admin') ? 'admin' : 'public'];
+        json(req, res, error => error ? next(error) : urlencoded(req, res, next));
     });
 
     // Health check endpoint
@@ -45,6 +76,198 @@ export function setupMiddleware(app) {
     });
 }
 
+/**
+ * Give each request an ID, sent back in X-Request-Id and added to everything
+ * logged while handling it, then log the request with its status and duration
+ * once the response is done
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+export function trackRequest(req, res, next) {
+    const requestId = req.get('X-Request-Id');
+    req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : uuidv4();
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    const path = req.originalUrl.split('?')[0];
+
+    runWithLogContext({ requestId: req.id }, () => {
+        // Closed streams and disconnected clients never finish
+        res.once('close', () => {
+            log.info(`${req.method} ${path} ${res.statusCode}`, {
+                durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+                ...(!res.writableFinished && { aborted: true })
+            });
+        });
+
+        next();
+    });
+}
+
+/**
+ * Record each request in the metrics once the response is done, by the route
+ * that answered it so paths with IDs are counted together
+ * @param {Metrics} metrics - Server metrics
+ * @returns {express.RequestHandler}
+ */
+export function measureRequests(metrics) {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+
+        res.once('close', () => {
+            metrics.observeRequest(req.method, getRouteLabel(req), res.statusCode,
+                Number(process.hrtime.bigint() - startedAt) / 1e9);
+        });
+
+        next();
+    };
+}
+
+/**
+ * Resolve the role of each request from the API key it presents, as a bearer
+ * token or an X-API-Key header, into req.auth. Requests without a key are public.
+ * Without any configured key, admin routes are refused, unless local admins are
+ * enabled: local requests not forwarded by a proxy are then admin.
+ * @param {ApiKeyStore} apiKeys - Configured keys
+ * @param {Object} [options] - Authentication options
+ * @param {boolean} [options.localAdmin] - Let local requests in as admin while no key is configured.
+ *     A reverse proxy on the same host that doesn't set X-Forwarded-For makes every visitor admin.
+ * @returns {express.RequestHandler}
+ */
+export function authenticate(apiKeys, { localAdmin = false } = {}) {
+    const authLog = logger.child({ component: 'Auth' });
+    if (!apiKeys.hasKeys && localAdmin) {
+        authLog.warn('No API key configured and LOCAL_ADMIN is on, local requests are admin');
+    } else if (!apiKeys.hasKeys) {
+        authLog.info('No API key configured, admin routes are refused');
+    }
+
+    return async (req, res, next) => {
+        const authorization = req.get('Authorization');
+        const key = req.get('X-API-Key') ||
+            (authorization && authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+
+        if (!key) {
+            req.auth = localAdmin && !apiKeys.hasKeys && isLocalRequest(req) ?
+                { role: 'admin', name: 'local' } :
+                { role: 'public', name: null };
+            return next();
+        }
+
+        try {
+            const identity = await apiKeys.authenticate(key);
+
+            if (!identity) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid API key'
+                });
+            }
+
+            req.auth = identity;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Only let requests with at least a role through
+ * @param {string} role - Required role, see ROLES
+ * @param {function(number, string): Object} [createBody] - Build the error body from the status and the message
+ * @returns {express.RequestHandler}
+ */
+export function requireRole(role, createBody = (status, error) => ({ success: false, error })) {
+    return (req, res, next) => {
+        if (hasRole(req, role)) {
+            return next();
+        }
+
+        // Anonymous requests may succeed with a key, keyed ones are denied
+        const status = req.auth && req.auth.name ? 403 : 401;
+        res.status(status).json(createBody(status,
+            status === 401 ? `This route requires ${withArticle(role)} API key` : `This route requires the ${role} role`));
+    };
+}
+
+/**
+ * Prefix a word with a or an
+ * @param {string} word - Word
+ * @returns {string}
+ */
+function withArticle(word) {
+    return `${/^[aeiou]/.test(word) ? 'an' : 'a'} ${word}`;
+}
+
+/**
+ * Only let requests presenting the token of their session, in the X-Session-Token
+ * header, through. Admins reach every session. A wrong token answers like an
+ * unknown session, so session IDs can't be probed.
+ * @param {RunAI} aiInstance - AI implementation, sessions are open when it has no tokens
+ * @returns {function(express.Request, express.Response, function, string): void} - Route parameter handler
+ */
+export function requireSessionToken(aiInstance) {
+    return (req, res, next, sessionId) => {
+        if (!aiInstance.verifySessionToken || hasRole(req, 'admin')) {
+            return next();
+        }
+
+        const token = req.get('X-Session-Token');
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'The X-Session-Token header is required'
+            });
+        }
+
+        if (!aiInstance.verifySessionToken(sessionId, token)) {
+            return res.status(404).json({
+                success: false,
+                error: `Session ${sessionId} not found`
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Check whether a request has at least a role
+ * @param {express.Request} req - Express request, authenticated
+ * @param {string} role - Role, see ROLES
+ * @returns {boolean}
+ */
+export function hasRole(req, role) {
+    const current = req.auth ? req.auth.role : 'public';
+    return ROLES.indexOf(current) >= ROLES.indexOf(role);
+}
+
+/**
+ * Check whether a request comes from this machine without going through a proxy
+ * @param {express.Request} req - Express request
+ * @returns {boolean}
+ */
+function isLocalRequest(req) {
+    return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) && !req.get('X-Forwarded-For');
+}
+
+/**
+ * Parse TRUST_PROXY into an Express trust proxy setting: true, a number of
+ * proxies, or a comma separated list of proxy addresses
+ * @param {string} value - Variable value
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 /**
  * Error handling middleware
  * @param {express.Application} app - Express application
@@ -60,14 +283,35 @@ export function setupErrorHandling(app) {
 
     // Global error handler
     app.use((error, req, res, next) => {
-        console.error('[ERROR]', error);
+        // Client errors such as malformed or too large bodies are only warnings
+        if (error.status && error.status < 500) {
+            log.warn('Request failed', { error: error.message, status: error.status });
+        } else {
+            log.error('Unhandled error', { error });
+        }
 
         res.status(error.status || 500).json({
             success: false,
-            error: process.env.NODE_ENV === 'production' ?
+            // Client errors such as a too large body are safe to show
+            error: process.env.NODE_ENV === 'production' && !error.expose ?
                 'Internal server error' :
                 error.message,
             ...(process.env.NODE_ENV !== 'production' && { stack: error.stack })
         });
     });
 }
+
+/**
+ * Name the route that answered a request, such as /api/chat/sessions/:sessionId
+ * @param {express.Request} req - Request, answered
+ * @returns {string} - Route path, unmatched for requests no route answered
+ */
+function getRouteLabel(req) {
+    if (!req.route) {
+        return 'unmatched';
+    }
+
+    // Routers mounted on a path answer their root at /path/
+    const route = `${req.baseUrl}${req.route.path}`;
+    return route.length > 1 ? route.replace(/\/$/, '') : route;
+}
@@ -0,0 +1,295 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { getErrorStatus, createDisconnectSignal, setRetryAfter, countError, getClientId } from './utils.js';
+import { validateGeneration } from '../AI/generation.js';
+import { limitRate, createRateLimits, readRateLimitConfig } from './rateLimit.js';
+import { requireRole } from './middleware.js';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'API' });
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// OpenAI request parameters and the generation settings they map to
+const GENERATION_PARAMETERS = {
+    temperature: 'temperature',
+    top_p: 'topP',
+    max_tokens: 'maxTokens',
+    max_completion_tokens: 'maxTokens',
+    stop: 'stop',
+    repeat_penalty: 'repeatPenalty'
+};
+
+/**
+ * Create OpenAI-compatible routes so clients speaking the OpenAI chat format
+ * can use the local model without sessions, with a client or admin API key
+ * @param {RunAI} aiInstance - Instance of the AI implementation
+ * @param {Object} [options] - Route options
+ * @param {Object} [options.rateLimits] - Abuse limits, see createRateLimits(), shared with the chat routes
+ * @param {Metrics|null} [options.metrics] - Counts the failed completions by type
+ * @returns {express.Router} - Express router with /models and /chat/completions
+ */
+export function createOpenAIRoutes(aiInstance, {
+    rateLimits = createRateLimits(readRateLimitConfig(process.env)),
+    metrics = null
+} = {}) {
+    const router = express.Router();
+    const created = Math.floor(Date.now() / 1000);
+
+    const limitCompletions = limitRate(rateLimits.messages, req => req.ip, 'Too many requests',
+        message => createErrorBody(429, message));
+
+    // The messages are used as sent, without the persona or its moderation, so only API clients get in
+    router.use(requireRole('client', createErrorBody));
+
+    /**
+     * GET /v1/models
+     * List the served model
+     */
+    router.get('/models', (req, res) => {
+        res.json({
+            object: 'list',
+            data: [{
+                id: getModelName(aiInstance),
+                object: 'model',
+                created,
+                owned_by: 'openauxilium'
+            }]
+        });
+    });
+
+    /**
+     * POST /v1/chat/completions
+     * Generate a chat completion, streamed as Server-Sent Events when stream is true
+     */
+    router.post('/chat/completions', limitCompletions, async (req, res) => {
+        const { messages, stream = false, stream_options: streamOptions } = req.body;
+
+        if (!aiInstance.completeWithMeta) {
+            return sendError(res, 404, 'Chat completions not supported by this AI implementation');
+        }
+
+        const validationError = validateMessages(messages);
+        if (validationError) {
+            return sendError(res, 400, validationError, 'messages');
+        }
+
+        if (messages.some(({ content }) => content.length > rateLimits.maxMessageLength)) {
+            return sendError(res, 413, `Message content must be at most ${rateLimits.maxMessageLength} characters`, 'messages');
+        }
+
+        const generation = {};
+        for (const [param, setting] of Object.entries(GENERATION_PARAMETERS)) {
+            // Clients commonly send null for parameters they leave unset
+            if (req.body[param] === undefined || req.body[param] === null) {
+                continue;
+            }
+
+            try {
+                Object.assign(generation, validateGeneration({ [setting]: req.body[param] }, param));
+            } catch (error) {
+                return sendError(res, 400, error.message.replace(`${param}.${setting}`, param), param);
+            }
+        }
+
+        const completion = {
+            id: `chatcmpl-${uuidv4()}`,
+            created: Math.floor(Date.now() / 1000),
+            model: getModelName(aiInstance)
+        };
+        const conversation = messages.map(({ role, content }) => ({ role, content }));
+
+        if (!stream) {
+            try {
+                const { response, usage } = await aiInstance.completeWithMeta(conversation, {
+                    generation,
+                    signal: createDisconnectSignal(res),
+                    requestId: req.id,
+                    client: getClientId(req)
+                });
+
+                return res.json({
+                    ...completion,
+                    object: 'chat.completion',
+                    choices: [{
+                        index: 0,
+                        message: { role: 'assistant', content: response },
+                        finish_reason: 'stop'
+                    }],
+                    usage: toOpenAIUsage(usage)
+                });
+            } catch (error) {
+                logCompletionError(error);
+                countError(metrics, error);
+                setRetryAfter(res, error);
+                return sendError(res, getErrorStatus(error), error.message);
+            }
+        }
+
+        // Same lazy start as the session stream route: errors raised before the
+        // first token keep their HTTP status
+        const sendChunk = (delta, finishReason = null) => {
+            if (!res.headersSent) {
+                res.status(200).set({
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+                res.flushHeaders();
+                sendData(res, createChunk(completion, { role: 'assistant', content: '' }));
+            }
+
+            sendData(res, createChunk(completion, delta, finishReason));
+        };
+
+        try {
+            const { usage } = await aiInstance.completeWithMeta(conversation, {
+                generation,
+                onChunk: (text) => sendChunk({ content: text }),
+                signal: createDisconnectSignal(res),
+                requestId: req.id,
+                client: getClientId(req)
+            });
+
+            sendChunk({}, 'stop');
+            // Like OpenAI, usage is only streamed on request, in a last chunk without choices
+            if (streamOptions && streamOptions.include_usage) {
+                sendData(res, { ...completion, object: 'chat.completion.chunk', choices: [], usage: toOpenAIUsage(usage) });
+            }
+            sendData(res, '[DONE]');
+            res.end();
+        } catch (error) {
+            logCompletionError(error);
+            countError(metrics, error);
+
+            if (res.headersSent) {
+                sendData(res, createErrorBody(getErrorStatus(error), error.message));
+                return res.end();
+            }
+
+            setRetryAfter(res, error);
+            sendError(res, getErrorStatus(error), error.message);
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Check the messages of a completion request
+ * @param {*} messages - Request messages
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return 'messages is required and must be a non-empty array';
+    }
+
+    for (const message of messages) {
+        if (!message || !MESSAGE_ROLES.includes(message.role)) {
+            return `Message role must be one of: ${MESSAGE_ROLES.join(', ')}`;
+        }
+
+        if (typeof message.content !== 'string') {
+            return 'Message content must be a string';
+        }
+    }
+
+    if (messages[messages.length - 1].role !== 'user') {
+        return 'The last message must have the user role';
+    }
+
+    return null;
+}
+
+/**
+ * Get the model name reported to clients
+ * @param {RunAI} aiInstance - Instance of the AI implementation
+ * @returns {string}
+ */
+function getModelName(aiInstance) {
+    return (aiInstance.getModelName && aiInstance.getModelName()) || 'openauxilium';
+}
+
+/**
+ * Build a streamed completion chunk
+ * @param {Object} completion - Completion id, created and model fields
+ * @param {Object} delta - Message delta
+ * @param {string|null} [finishReason] - Set on the last chunk
+ * @returns {Object}
+ */
+function createChunk(completion, delta, finishReason = null) {
+    return {
+        ...completion,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+}
+
+/**
+ * Convert the usage of a completion to the OpenAI format
+ * @param {Object} usage - Usage measured by the AI implementation
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+function toOpenAIUsage(usage) {
+    return {
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        total_tokens: usage.totalTokens
+    };
+}
+
+/**
+ * Write a data-only Server-Sent Event, the framing OpenAI clients expect
+ * @param {express.Response} res - Express response in event-stream mode
+ * @param {Object|string} data - JSON payload, or a raw string such as [DONE]
+ */
+function sendData(res, data) {
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Build an error body in the OpenAI format
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string|null} [param] - Request parameter at fault
+ * @returns {Object}
+ */
+function createErrorBody(status, message, param = null) {
+    return {
+        error: {
+            message,
+            type: status >= 500 ? 'server_error' : status === 429 ? 'rate_limit_exceeded' : 'invalid_request_error',
+            param,
+            code: null
+        }
+    };
+}
+
+/**
+ * Send an error response in the OpenAI format
+ * @param {express.Response} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string|null} [param] - Request parameter at fault
+ */
+function sendError(res, status, message, param = null) {
+    res.status(status).json(createErrorBody(status, message, param));
+}
+
+/**
+ * Log a completion error, cancellations are expected and only logged as info
+ * @param {Error} error - Error raised while completing
+ */
+function logCompletionError(error) {
+    if (error.cancelled) {
+        log.info('Completion cancelled');
+    } else {
+        log.error('Error generating completion', { error });
+    }
+}
@@ -0,0 +1,119 @@
+import express from 'express';
+import { getErrorStatus } from './utils.js';
+import { requireRole, hasRole } from './middleware.js';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'API' });
+
+/**
+ * Create persona management routes
+ * @param {PersonaManager} personaManager - Personas sessions can be started with
+ * @returns {express.Router} - Express router with persona CRUD endpoints
+ */
+export function createPersonaRoutes(personaManager) {
+    const router = express.Router();
+
+    /**
+     * GET /chat/personas
+     * List every persona
+     */
+    router.get('/', requireRole('admin'), (req, res) => {
+        const personas = personaManager.list();
+
+        res.json({
+            success: true,
+            personas,
+            count: personas.length
+        });
+    });
+
+    /**
+     * GET /chat/personas/:personaId
+     * Get a persona, the widget only gets what it shows: its name and welcome message
+     */
+    router.get('/:personaId', (req, res) => {
+        try {
+            const persona = personaManager.get(req.params.personaId);
+
+            res.json({
+                success: true,
+                persona: hasRole(req, 'admin') ?
+                    persona :
+                    { id: persona.id, name: persona.name, welcomeMessage: persona.welcomeMessage }
+            });
+        } catch (error) {
+            sendError(res, error, 'Error getting persona');
+        }
+    });
+
+    /**
+     * POST /chat/personas
+     * Create a persona
+     */
+    router.post('/', requireRole('admin'), async (req, res) => {
+        try {
+            const persona = await personaManager.create(req.body);
+
+            res.status(201).json({
+                success: true,
+                persona,
+                message: 'Persona created successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating persona');
+        }
+    });
+
+    /**
+     * PUT /chat/personas/:personaId
+     * Update a persona, sessions already started with it are not affected
+     */
+    router.put('/:personaId', requireRole('admin'), async (req, res) => {
+        try {
+            const persona = await personaManager.update(req.params.personaId, req.body);
+
+            res.json({
+                success: true,
+                persona,
+                message: 'Persona updated successfully'
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating persona');
+        }
+    });
+
+    /**
+     * DELETE /chat/personas/:personaId
+     * Delete a persona
+     */
+    router.delete('/:personaId', requireRole('admin'), async (req, res) => {
+        try {
+            const { personaId } = req.params;
+            await personaManager.delete(personaId);
+
+            res.json({
+                success: true,
+                message: `Persona ${personaId} deleted successfully`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting persona');
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Log an error and answer with its status
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error raised by the persona manager
+ * @param {string} label - Log message
+ */
+function sendError(res, error, label) {
+    log.error(label, { error: error.message });
+
+    res.status(getErrorStatus(error)).json({
+        success: false,
+        error: error.message
+    });
+}
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import { hasRole } from './middleware.js';
+import { logger } from '../Logging/Logger.js';
+import { readCount } from '../Config/env.js';
+
+const log = logger.child({ component: 'RateLimit' });
+
+// Key of the IP hashes logged, new at each start so the hashes can't be looked up
+const IP_HASH_KEY = crypto.randomBytes(32);
+
+/**
+ * Count the hits of each key, such as a client IP, over fixed windows of time
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {number} options.limit - Hits allowed per key and window
+     * @param {number} options.windowMs - Window length
+     */
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map(); // key -> { count, resetAt }
+        this.sweptAt = Date.now();
+    }
+
+    /**
+     * Count a hit of a key
+     * @param {string} key - Key, such as a client IP
+     * @returns {number} - Seconds until the key may hit again, 0 when this hit is allowed
+     */
+    hit(key) {
+        const now = Date.now();
+        this._sweep(now);
+
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        if (window.count >= this.limit) {
+            return Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+        }
+
+        window.count++;
+        return 0;
+    }
+
+    /**
+     * Forget the keys whose window ended, at most once per window
+     * @param {number} now - Current time
+     */
+    _sweep(now) {
+        if (now - this.sweptAt < this.windowMs) {
+            return;
+        }
+
+        this.sweptAt = now;
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Read the abuse limits from environment variables. A rate of 0 disables its limiter.
+ * @param {Object} env - Environment variables
+ * @returns {{messagesPerMinute: number, sessionMessagesPerMinute: number, sessionsPerHour: number, maxMessageLength: number}}
+ */
+export function readRateLimitConfig(env) {
+    const config = {
+        messagesPerMinute: readCount(env, 'RATE_LIMIT_MESSAGES_PER_MINUTE', 20),
+        sessionMessagesPerMinute: readCount(env, 'RATE_LIMIT_SESSION_MESSAGES_PER_MINUTE', 10),
+        sessionsPerHour: readCount(env, 'RATE_LIMIT_SESSIONS_PER_HOUR', 20),
+        maxMessageLength: readCount(env, 'MAX_MESSAGE_LENGTH', 2000)
+    };
+
+    if (config.maxMessageLength === 0) {
+        throw new Error('MAX_MESSAGE_LENGTH must be a positive integer');
+    }
+
+    return config;
+}
+
+/**
+ * Create the limiters of the chat and completion routes
+ * @param {Object} config - Limits, see readRateLimitConfig()
+ * @returns {{messages: RateLimiter|null, sessionMessages: RateLimiter|null, sessions: RateLimiter|null, maxMessageLength: number}}
+ */
+export function createRateLimits({ messagesPerMinute, sessionMessagesPerMinute, sessionsPerHour, maxMessageLength }) {
+    const create = (limit, windowMs) => limit > 0 ? new RateLimiter({ limit, windowMs }) : null;
+
+    return {
+        // Per client IP, shared by the chat messages, extractions and completions
+        messages: create(messagesPerMinute, 60 * 1000),
+        sessionMessages: create(sessionMessagesPerMinute, 60 * 1000),
+        // Per client IP
+        sessions: create(sessionsPerHour, 60 * 60 * 1000),
+        maxMessageLength
+    };
+}
+
+/**
+ * Answer 429 with a Retry-After header once a request key exceeds its limit.
+ * Admin requests aren't limited.
+ * @param {RateLimiter|null} limiter - Limiter, null lets every request through
+ * @param {function(express.Request): string} getKey - Key of a request, such as its IP
+ * @param {string} message - Error message, followed by the wait
+ * @param {function(string, number): Object} [createBody] - Build the error body from the full message and the wait
+ * @returns {express.RequestHandler}
+ */
+export function limitRate(limiter, getKey, message,
+    createBody = (error, retryAfter) => ({ success: false, error, retryAfter })) {
+    return (req, res, next) => {
+        if (!limiter || hasRole(req, 'admin')) {
+            return next();
+        }
+
+        const retryAfter = limiter.hit(getKey(req));
+        if (retryAfter === 0) {
+            return next();
+        }
+
+        log.warn(`Limited ${req.method} ${req.path}`, { ipHash: hashIp(req.ip) });
+
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json(createBody(`${message}, try again in ${retryAfter} seconds`, retryAfter));
+    };
+}
+
+/**
+ * Hash an IP for the logs: the requests of a client can be told apart without its address being written
+ * @param {string} ip - Client IP
+ * @returns {string}
+ */
+function hashIp(ip) {
+    return crypto.createHmac('sha256', IP_HASH_KEY).update(ip || '').digest('hex').slice(0, 16);
+}
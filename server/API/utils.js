@@ -0,0 +1,62 @@
+import { getErrorType } from '../Metrics/Metrics.js';
+
+/**
+ * Map an AI error to an HTTP status code
+ * @param {Error} error - Error raised by the AI implementation
+ * @returns {number} - HTTP status code
+ */
+export function getErrorStatus(error) {
+    if (error.status) {
+        return error.status;
+    }
+
+    return error.message.includes('not found') ? 404 : 500;
+}
+
+/**
+ * Name the API client of a request, for its usage: the name of its key, or its IP
+ * @param {express.Request} req - Express request, authenticated
+ * @returns {string}
+ */
+export function getClientId(req) {
+    return req.auth && req.auth.name ? req.auth.name : `ip:${req.ip}`;
+}
+
+/**
+ * Count a failed message, extraction or completion in the metrics
+ * @param {Metrics|null} metrics - Server metrics, if enabled
+ * @param {Error} error - Error raised by the AI implementation
+ */
+export function countError(metrics, error) {
+    if (metrics) {
+        metrics.countError(getErrorType(error, getErrorStatus(error)));
+    }
+}
+
+/**
+ * Tell the client when to retry, for errors such as a full generation queue
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error raised by the AI implementation, with retryAfter in seconds when retrying may succeed
+ */
+export function setRetryAfter(res, error) {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+}
+
+/**
+ * Create an AbortSignal that fires when the client disconnects before the response is sent
+ * @param {express.Response} res - Express response
+ * @returns {AbortSignal}
+ */
+export function createDisconnectSignal(res) {
+    const controller = new AbortController();
+
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+
+    return controller.signal;
+}
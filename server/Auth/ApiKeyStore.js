@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'ApiKeyStore' });
+
+/**
+ * Roles from the least to the most privileged. Requests without a key are public,
+ * client keys run the model without a session, e.g. for automations.
+ */
+export const ROLES = ['public', 'client', 'admin'];
+
+/**
+ * API keys granting a role to the requests presenting them. Keys come from the
+ * ADMIN_API_KEYS and CLIENT_API_KEYS variables and an optional JSON file, re-read when it changes so
+ * keys can be rotated without a restart.
+ */
+export class ApiKeyStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {Array<string>} [options.adminKeys] - Admin keys, from ADMIN_API_KEYS
+     * @param {Array<string>} [options.clientKeys] - Client keys, from CLIENT_API_KEYS
+     * @param {string|null} [options.filePath] - JSON file of named keys
+     * @param {number} [options.reloadIntervalMs] - Minimum time between two checks of the file
+     */
+    constructor({ adminKeys = [], clientKeys = [], filePath = null, reloadIntervalMs = 5000 } = {}) {
+        this.filePath = filePath;
+        this.reloadIntervalMs = reloadIntervalMs;
+        this.envKeys = [
+            ...adminKeys.map((key, index) => toEntry({ name: `admin-${index + 1}`, key, role: 'admin' })),
+            ...clientKeys.map((key, index) => toEntry({ name: `client-${index + 1}`, key, role: 'client' }))
+        ];
+        this.fileKeys = [];
+        this.fileModifiedAt = null;
+        this.checkedAt = 0;
+    }
+
+    /**
+     * Load the key file
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (this.filePath) {
+            await this._reload();
+            log.info(`Loaded ${this.fileKeys.length} keys`, { filePath: this.filePath });
+        }
+    }
+
+    /**
+     * Whether any key is configured
+     * @returns {boolean}
+     */
+    get hasKeys() {
+        return this.envKeys.length + this.fileKeys.length > 0;
+    }
+
+    /**
+     * Find the key a request presented
+     * @param {string} key - Presented key
+     * @returns {Promise<{name: string, role: string}|null>} - Null when the key is unknown
+     */
+    async authenticate(key) {
+        await this._reloadIfChanged();
+
+        const digest = hashKey(key);
+        const entry = [...this.envKeys, ...this.fileKeys].find(candidate =>
+            crypto.timingSafeEqual(candidate.digest, digest));
+
+        return entry ? { name: entry.name, role: entry.role } : null;
+    }
+
+    /**
+     * Re-read the key file when it was modified, at most once per reload interval.
+     * A file that became invalid is logged and the previous keys are kept.
+     * @returns {Promise<void>}
+     */
+    async _reloadIfChanged() {
+        if (!this.filePath || Date.now() - this.checkedAt < this.reloadIntervalMs) {
+            return;
+        }
+
+        this.checkedAt = Date.now();
+
+        try {
+            const { mtimeMs } = await fs.stat(this.filePath);
+            if (mtimeMs !== this.fileModifiedAt) {
+                await this._reload();
+                log.info(`Reloaded ${this.fileKeys.length} keys`, { filePath: this.filePath });
+            }
+        } catch (error) {
+            log.error('Failed to reload keys, keeping the previous ones', { error: error.message });
+        }
+    }
+
+    /**
+     * Read the key file, an array of {name, key or sha256, role}
+     * @returns {Promise<void>}
+     */
+    async _reload() {
+        const { mtimeMs } = await fs.stat(this.filePath);
+        const entries = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+
+        if (!Array.isArray(entries)) {
+            throw new Error(`API key file ${this.filePath} must be an array of keys`);
+        }
+
+        this.fileKeys = entries.map(toEntry);
+        this.fileModifiedAt = mtimeMs;
+        this.checkedAt = Date.now();
+    }
+}
+
+/**
+ * Validate a key declaration. Keys can be stored as their SHA-256 so the file doesn't hold them.
+ * @param {Object} declaration - Key declaration
+ * @param {string} declaration.name - Name identifying the key holder in logs
+ * @param {string} [declaration.key] - The key
+ * @param {string} [declaration.sha256] - Hex SHA-256 of the key, instead of the key
+ * @param {string} [declaration.role] - Role the key grants, admin by default
+ * @returns {{name: string, role: string, digest: Buffer}}
+ */
+function toEntry({ name, key, sha256, role = 'admin' } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('API keys need a name');
+    }
+
+    if (!ROLES.includes(role) || role === 'public') {
+        throw new Error(`Invalid role of API key ${name}: ${role}`);
+    }
+
+    if (typeof key === 'string' && key.length > 0) {
+        return { name, role, digest: hashKey(key) };
+    }
+
+    if (typeof sha256 === 'string' && /^[0-9a-f]{64}$/i.test(sha256)) {
+        return { name, role, digest: Buffer.from(sha256, 'hex') };
+    }
+
+    throw new Error(`API key ${name} needs a key or the hex sha256 of one`);
+}
+
+/**
+ * Hash a key, so keys of any length compare in constant time
+ * @param {string} key - Key
+ * @returns {Buffer}
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
@@ -0,0 +1,39 @@
+/**
+ * Helpers reading settings from environment variables
+ */
+
+/**
+ * Read a whole number setting, where 0 usually disables a limit
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is unset or empty
+ * @returns {number}
+ */
+export function readCount(env, name, fallback) {
+    if (env[name] === undefined || env[name] === '') {
+        return fallback;
+    }
+
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a positive integer or 0`);
+    }
+
+    return value;
+}
+
+/**
+ * Read a whole number setting that can't be 0, like a size or a timeout without a disabled state
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is unset or empty
+ * @returns {number}
+ */
+export function readPositiveCount(env, name, fallback) {
+    const value = readCount(env, name, fallback);
+    if (value === 0) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+
+    return value;
+}
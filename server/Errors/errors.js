@@ -0,0 +1,14 @@
+/**
+ * Errors shared by the modules validating what callers send, the routes answer their status
+ */
+
+/**
+ * Build a 400 error for invalid input
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function createValidationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
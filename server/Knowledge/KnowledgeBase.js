@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getDocumentFormat, extractText, extractTitle, chunkText } from './documents.js';
+import { logger } from '../Logging/Logger.js';
+import { createValidationError } from '../Errors/errors.js';
+
+const log = logger.child({ component: 'KnowledgeBase' });
+
+/**
+ * Local knowledge base: documents are split into chunks, embedded with the
+ * AI backend and searched by cosine similarity to ground the answers
+ */
+export class KnowledgeBase {
+    /**
+     * @param {Object} [options] - Knowledge base options
+     * @param {string|null} [options.filePath] - JSON file storing documents and vectors, kept in memory when null
+     * @param {string|null} [options.directory] - Directory of documents ingested at startup
+     * @param {number} [options.chunkSize] - Target chunk length in characters
+     * @param {number} [options.chunkOverlap] - Characters repeated between consecutive chunks
+     * @param {number} [options.topK] - Passages retrieved per message
+     * @param {number} [options.minScore] - Minimum cosine similarity of a retrieved passage
+     */
+    constructor({
+        filePath = null,
+        directory = null,
+        chunkSize = 1000,
+        chunkOverlap = 200,
+        topK = 3,
+        minScore = 0.3
+    } = {}) {
+        this.filePath = filePath;
+        this.directory = directory;
+        this.chunkSize = chunkSize;
+        this.chunkOverlap = chunkOverlap;
+        this.topK = topK;
+        this.minScore = minScore;
+        this.embedder = null;
+        this.documents = new Map(); // documentId -> { id, source, title, format, origin, hash, chunks, createdAt, updatedAt }
+        this.lock = Promise.resolve();
+    }
+
+    /**
+     * Load the stored documents and ingest the documents directory
+     * @param {Object} embedder - AI implementation providing embed(text) and getModelName()
+     * @returns {Promise<void>}
+     */
+    async initialize(embedder) {
+        this.embedder = embedder;
+
+        const stored = await this._load();
+        for (const document of stored.documents) {
+            this.documents.set(document.id, document);
+        }
+
+        // Vectors of another model can't be compared with the current one's
+        const model = this.embedder.getModelName();
+        if (this.documents.size > 0 && stored.embeddingModel !== model) {
+            log.info(`Embedding model changed to ${model}, re-embedding ${this.documents.size} documents`);
+            await this._withLock(async () => {
+                for (const document of this.documents.values()) {
+                    for (const chunk of document.chunks) {
+                        chunk.vector = await this.embedder.embed(chunk.text);
+                    }
+                }
+                await this._save();
+            });
+        }
+
+        if (this.directory) {
+            await this.ingestDirectory(this.directory);
+        }
+
+        log.info(`Ready with ${this.documents.size} documents`);
+    }
+
+    /**
+     * Ingest every supported document of a directory. Unchanged documents are skipped
+     * and documents previously ingested from it that no longer exist are removed.
+     * @param {string} directory - Directory to read recursively
+     * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number}>}
+     */
+    async ingestDirectory(directory) {
+        const stats = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+        const seen = new Set();
+
+        for (const filePath of await listFiles(directory)) {
+            const source = path.relative(directory, filePath).split(path.sep).join('/');
+            if (!getDocumentFormat(source)) {
+                continue;
+            }
+
+            const content = await fs.readFile(filePath, 'utf8');
+            const id = getDocumentId(source);
+            const existing = this.documents.get(id);
+            seen.add(id);
+
+            if (existing && existing.hash === hashContent(content)) {
+                stats.unchanged++;
+                continue;
+            }
+
+            try {
+                await this.addDocument({ source, content, origin: 'directory' });
+                stats[existing ? 'updated' : 'added']++;
+            } catch (error) {
+                log.error(`Failed to ingest ${source}`, { error });
+            }
+        }
+
+        for (const document of Array.from(this.documents.values())) {
+            if (document.origin === 'directory' && !seen.has(document.id)) {
+                await this.removeDocument(document.id);
+                stats.removed++;
+            }
+        }
+
+        log.info(`Ingested ${directory}`, stats);
+        return stats;
+    }
+
+    /**
+     * Add or replace a document
+     * @param {Object} data - Document
+     * @param {string} data.source - File name identifying the document, its extension gives the format
+     * @param {string} data.content - Raw content
+     * @param {string} [data.format] - markdown, html or text, overrides the extension
+     * @param {string} [data.title] - Title, read from the content by default
+     * @param {string} [data.origin] - upload or directory
+     * @returns {Promise<Object>} - Document summary
+     */
+    async addDocument({ source, content, format = getDocumentFormat(source), title, origin = 'upload' }) {
+        if (!this.embedder) {
+            throw new Error('Knowledge base not initialized');
+        }
+
+        if (!['markdown', 'html', 'text'].includes(format)) {
+            throw createValidationError('Unsupported document format, use Markdown, HTML or text');
+        }
+
+        const texts = chunkText(extractText(content, format), {
+            chunkSize: this.chunkSize,
+            chunkOverlap: this.chunkOverlap
+        });
+
+        if (texts.length === 0) {
+            throw createValidationError('Document has no text content');
+        }
+
+        return this._withLock(async () => {
+            const chunks = [];
+            for (const text of texts) {
+                chunks.push({ text, vector: await this.embedder.embed(text) });
+            }
+
+            const id = getDocumentId(source);
+            const existing = this.documents.get(id);
+            const now = new Date().toISOString();
+            const document = {
+                id,
+                source,
+                title: title || extractTitle(content, format, path.basename(source)),
+                format,
+                origin,
+                hash: hashContent(content),
+                chunks,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+
+            this.documents.set(id, document);
+            await this._save();
+
+            log.info(`Stored ${source} as ${chunks.length} chunks`);
+            return summarize(document);
+        });
+    }
+
+    /**
+     * Remove a document
+     * @param {string} documentId - Document identifier
+     * @returns {Promise<void>}
+     */
+    async removeDocument(documentId) {
+        if (!this.documents.has(documentId)) {
+            const error = new Error(`Document ${documentId} not found`);
+            error.status = 404;
+            throw error;
+        }
+
+        await this._withLock(async () => {
+            this.documents.delete(documentId);
+            await this._save();
+        });
+
+        log.info('Removed document', { documentId });
+    }
+
+    /**
+     * List the stored documents, without their chunks
+     * @returns {Array<Object>}
+     */
+    listDocuments() {
+        return Array.from(this.documents.values()).map(summarize);
+    }
+
+    /**
+     * Find the passages most similar to a query
+     * @param {string} query - Text to search for
+     * @param {number} [topK] - Maximum number of passages
+     * @returns {Promise<Array<{documentId: string, source: string, title: string, text: string, score: number}>>}
+     */
+    async search(query, topK = this.topK) {
+        if (this.documents.size === 0) {
+            return [];
+        }
+
+        const queryVector = await this.embedder.embed(query);
+        const passages = [];
+
+        for (const document of this.documents.values()) {
+            for (const chunk of document.chunks) {
+                const score = cosineSimilarity(queryVector, chunk.vector);
+                if (score >= this.minScore) {
+                    passages.push({
+                        documentId: document.id,
+                        source: document.source,
+                        title: document.title,
+                        text: chunk.text,
+                        score
+                    });
+                }
+            }
+        }
+
+        return passages.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    /**
+     * Read the store file
+     * @returns {Promise<{embeddingModel: string|null, documents: Array}>}
+     */
+    async _load() {
+        if (!this.filePath) {
+            return { embeddingModel: null, documents: [] };
+        }
+
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { embeddingModel: null, documents: [] };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write the store file through a temporary file so a crash never truncates it
+     * @returns {Promise<void>}
+     */
+    async _save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({
+            embeddingModel: this.embedder.getModelName(),
+            documents: Array.from(this.documents.values())
+        }));
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Run store mutations one at a time so concurrent uploads don't overwrite each other's writes
+     * @param {function(): Promise<*>} fn - Operation to run
+     * @returns {Promise<*>}
+     */
+    _withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => {});
+        return run;
+    }
+}
+
+/**
+ * List the files of a directory recursively
+ * @param {string} directory - Directory to read
+ * @returns {Promise<Array<string>>} - File paths
+ */
+async function listFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(entryPath));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Derive a stable document ID from its source, so re-ingesting a file replaces it
+ * @param {string} source - Document source
+ * @returns {string}
+ */
+function getDocumentId(source) {
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash a document content to detect changes
+ * @param {string} content - Raw content
+ * @returns {string}
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Describe a document without its chunks
+ * @param {Object} document - Stored document
+ * @returns {Object}
+ */
+function summarize({ chunks, hash, ...document }) {
+    return { ...document, chunkCount: chunks.length };
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+    if (a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,161 @@
+import path from 'path';
+
+/**
+ * Document formats the knowledge base can ingest, by file extension
+ */
+export const DOCUMENT_FORMATS = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.txt': 'text'
+};
+
+/**
+ * Get the format of a document from its file name
+ * @param {string} source - File name or path
+ * @returns {string|null} - markdown, html or text, null when unsupported
+ */
+export function getDocumentFormat(source) {
+    return DOCUMENT_FORMATS[path.extname(source).toLowerCase()] || null;
+}
+
+/**
+ * Extract the plain text of a document
+ * @param {string} content - Raw document content
+ * @param {string} format - markdown, html or text
+ * @returns {string}
+ */
+export function extractText(content, format) {
+    switch (format) {
+        case 'html':
+            return decodeEntities(content
+                .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+                .replace(/<!--[\s\S]*?-->/g, '')
+                // Block elements end paragraphs so the chunker can split on them
+                .replace(/<\/?(p|div|section|article|h[1-6]|li|tr|br|hr|table|ul|ol|pre|blockquote)[^>]*>/gi, '\n\n')
+                .replace(/<[^>]+>/g, ''))
+                .replace(/[ \t]+/g, ' ')
+                .replace(/\n\s*\n(\s*\n)+/g, '\n\n')
+                .trim();
+        case 'markdown':
+            return content
+                .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+                .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+                .replace(/^```.*$/gm, '')
+                .trim();
+        default:
+            return content.trim();
+    }
+}
+
+/**
+ * Find the title of a document
+ * @param {string} content - Raw document content
+ * @param {string} format - markdown, html or text
+ * @param {string} fallback - Title used when the document has none
+ * @returns {string}
+ */
+export function extractTitle(content, format, fallback) {
+    let match = null;
+
+    if (format === 'markdown') {
+        match = content.match(/^#\s+(.+)$/m);
+    } else if (format === 'html') {
+        match = content.match(/<title[^>]*>([^<]+)<\/title>/i) || content.match(/<h1[^>]*>([^<]+)<\/h1>/i);
+    }
+
+    return match ? decodeEntities(match[1]).trim() : fallback;
+}
+
+/**
+ * Split text into chunks of about chunkSize characters, on paragraph boundaries when possible.
+ * Each chunk starts with the end of the previous one so passages keep some context.
+ * @param {string} text - Plain text
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Target chunk length in characters
+ * @param {number} options.chunkOverlap - Characters repeated from the previous chunk
+ * @returns {Array<string>}
+ */
+export function chunkText(text, { chunkSize, chunkOverlap }) {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+        for (const piece of splitLongText(paragraph, chunkSize)) {
+            if (current && current.length + piece.length + 2 > chunkSize) {
+                chunks.push(current);
+                current = getOverlap(current, chunkOverlap);
+            }
+
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * Split a paragraph longer than maxLength at word boundaries
+ * @param {string} text - Paragraph
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<string>}
+ */
+function splitLongText(text, maxLength) {
+    const pieces = [];
+    let rest = text;
+
+    while (rest.length > maxLength) {
+        let cut = rest.lastIndexOf(' ', maxLength);
+        if (cut <= 0) {
+            cut = maxLength;
+        }
+
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+
+    if (rest) {
+        pieces.push(rest);
+    }
+
+    return pieces;
+}
+
+/**
+ * Get the last words of a chunk, up to length characters
+ * @param {string} text - Chunk
+ * @param {number} length - Maximum overlap length
+ * @returns {string}
+ */
+function getOverlap(text, length) {
+    if (length <= 0) {
+        return '';
+    }
+
+    const tail = text.slice(-length);
+    const wordStart = tail.indexOf(' ');
+
+    return (wordStart === -1 ? tail : tail.slice(wordStart + 1)).trim();
+}
+
+/**
+ * Decode the HTML entities commonly found in text content
+ * @param {string} text - Text with entities
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&');
+}
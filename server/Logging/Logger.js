@@ -0,0 +1,216 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+
+// Nothing is written at silent, the level entries are never logged at
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['text', 'json'];
+
+// Fields of the work being done, such as the ID of the HTTP request, added to every entry
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Writes log entries at a level, as readable lines or one JSON object per line.
+ * Child loggers add their fields, such as the component, and share the level
+ * and format of their parent.
+ */
+export class Logger {
+    /**
+     * @param {Object} [settings] - Shared settings, see configure()
+     * @param {Object} [fields] - Fields added to every entry
+     */
+    constructor(settings = { level: 'info', format: 'text' }, fields = {}) {
+        this.settings = settings;
+        this.fields = fields;
+    }
+
+    /**
+     * Change the level and format, for this logger and all its children
+     * @param {Object} settings - Logger settings
+     * @param {string} [settings.level] - Lowest level written: debug, info, warn or error, or silent
+     * @param {string} [settings.format] - text or json
+     */
+    configure({ level = this.settings.level, format = this.settings.format }) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Log level must be one of ${LOG_LEVELS.join(', ')}`);
+        }
+
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Log format must be one of ${LOG_FORMATS.join(', ')}`);
+        }
+
+        Object.assign(this.settings, { level, format });
+    }
+
+    /**
+     * Create a logger adding fields to every entry
+     * @param {Object} fields - Fields, component names the part of the server logging
+     * @returns {Logger}
+     */
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    /**
+     * Whether entries of a level are written
+     * @param {string} level - Log level
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.settings.level);
+    }
+
+    /**
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Details, an error in error
+     */
+    debug(message, fields) {
+        this._write('debug', message, fields);
+    }
+
+    /**
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Details, an error in error
+     */
+    info(message, fields) {
+        this._write('info', message, fields);
+    }
+
+    /**
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Details, an error in error
+     */
+    warn(message, fields) {
+        this._write('warn', message, fields);
+    }
+
+    /**
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Details, an error in error
+     */
+    error(message, fields) {
+        this._write('error', message, fields);
+    }
+
+    /**
+     * Write an entry through the console, warnings and errors to stderr
+     * @param {string} level - Log level
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Details
+     */
+    _write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const { component, error, ...details } = { ...logContext.getStore(), ...this.fields, ...fields };
+        const time = new Date().toISOString();
+        const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+        if (this.settings.format === 'json') {
+            write(JSON.stringify({
+                time,
+                level,
+                ...(component && { component }),
+                message,
+                ...details,
+                ...(error !== undefined && { error: serializeError(error) })
+            }));
+            return;
+        }
+
+        const line = [
+            time,
+            level.toUpperCase().padEnd(5),
+            ...(component ? [`[${component}]`] : []),
+            message,
+            ...Object.entries(details)
+                .filter(([, value]) => value !== undefined)
+                .map(([key, value]) => `${key}=${formatValue(value)}`)
+        ].join(' ');
+
+        write(error !== undefined ? `${line}\n${formatError(error)}` : line);
+    }
+}
+
+// Configured by the server from LOG_LEVEL and LOG_FORMAT
+export const logger = new Logger();
+
+/**
+ * Read the logger settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {{level: string, format: string}}
+ */
+export function readLogConfig(env) {
+    const config = {
+        level: env.LOG_LEVEL || 'info',
+        format: env.LOG_FORMAT || 'text'
+    };
+
+    if (!LOG_LEVELS.includes(config.level)) {
+        throw new Error(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+
+    if (!LOG_FORMATS.includes(config.format)) {
+        throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Run a function with fields added to every entry logged while it runs, including after awaits
+ * @param {Object} fields - Fields, such as requestId
+ * @param {Function} fn - Function to run
+ * @returns {*} - What the function returns
+ */
+export function runWithLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Get the fields of the work being done
+ * @returns {Object} - Fields such as requestId, empty outside any context
+ */
+export function getLogContext() {
+    return logContext.getStore() || {};
+}
+
+/**
+ * Turn an error into JSON fields
+ * @param {*} error - Error or any thrown value
+ * @returns {Object|*}
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+
+    return {
+        message: error.message,
+        ...(error.status && { status: error.status }),
+        ...(error.code && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+/**
+ * Format an error for a text line
+ * @param {*} error - Error or any thrown value
+ * @returns {string}
+ */
+function formatError(error) {
+    return error instanceof Error ? error.stack || error.message : util.inspect(error);
+}
+
+/**
+ * Format a field value for a text line, quoting strings with spaces
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (typeof value === 'string') {
+        return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value;
+    }
+
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -0,0 +1,351 @@
+// Version 0.0.4 of the Prometheus text exposition format
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const PREFIX = 'openauxilium_';
+
+// Upper bounds in seconds: HTTP requests answer in milliseconds unless they wait for a
+// generation, which takes seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const QUEUE_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const GENERATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Counters, gauges and histograms of the server, rendered in the Prometheus text
+ * format. The AI implementation and the routes record what happens, the queue and
+ * session gauges are read from the AI implementation at each scrape.
+ */
+export class Metrics {
+    constructor() {
+        this.metrics = [];
+        this.getQueueStatus = null;
+
+        this.httpRequests = this._add(new Metric('counter', 'http_requests_total',
+            'HTTP requests answered, by method, route and status', ['method', 'route', 'status']));
+        this.httpDuration = this._add(new Histogram('http_request_duration_seconds',
+            'Time to answer HTTP requests, by method and route', ['method', 'route'], HTTP_BUCKETS));
+        this.queueLength = this._add(new Metric('gauge', 'queue_length', 'Requests waiting for a generation slot'));
+        this.queueMaxLength = this._add(new Metric('gauge', 'queue_max_length', 'Requests that may wait for a generation slot'));
+        this.queueWait = this._add(new Histogram('queue_wait_seconds',
+            'Time requests waited for a generation slot', [], QUEUE_BUCKETS));
+        this.activeGenerations = this._add(new Metric('gauge', 'active_generations', 'Generations running'));
+        this.generationSlots = this._add(new Metric('gauge', 'generation_slots', 'Generations that may run at once'));
+        this.generationDuration = this._add(new Histogram('generation_duration_seconds',
+            'Time generations took, by kind: sessions, completions, extractions, summaries or moderations', ['kind'],
+            GENERATION_BUCKETS));
+        this.tokens = this._add(new Metric('counter', 'tokens_total',
+            'Tokens given to the model (prompt) and generated (completion), by kind of generation', ['kind', 'type']));
+        this.activeSessions = this._add(new Metric('gauge', 'sessions_active', 'Sessions loaded'));
+        this.createdSessions = this._add(new Metric('counter', 'sessions_created_total', 'Sessions created'));
+        this.cleanedSessions = this._add(new Metric('counter', 'sessions_cleaned_total', 'Inactive sessions cleaned up'));
+        this.errors = this._add(new Metric('counter', 'errors_total',
+            'Failed messages, extractions and completions, by type', ['type']));
+        this.moderationRefusals = this._add(new Metric('counter', 'moderation_refusals_total',
+            'Messages and answers blocked by the moderation rules, by reason: off_topic or the type of the rule', ['reason']));
+        this.contextSequences = this._add(new Metric('gauge', 'context_sequences',
+            'Sequences of the shared llama.cpp contexts, by state: total, allocated or in_use', ['state']));
+        this.contextEvictions = this._add(new Metric('counter', 'context_evictions_total',
+            'Idle sessions evicted from the shared llama.cpp contexts'));
+    }
+
+    /**
+     * Read the queue and session gauges from the AI implementation at each scrape
+     * @param {function(): Object} getQueueStatus - Returns the queue status, see RunAI.getQueueStatus()
+     */
+    observeQueue(getQueueStatus) {
+        this.getQueueStatus = getQueueStatus;
+    }
+
+    /**
+     * Record an answered HTTP request
+     * @param {string} method - HTTP method
+     * @param {string} route - Route path, such as /api/chat/sessions/:sessionId/messages
+     * @param {number} status - Response status
+     * @param {number} seconds - Time to answer
+     */
+    observeRequest(method, route, status, seconds) {
+        this.httpRequests.inc({ method, route, status: String(status) });
+        this.httpDuration.observe({ method, route }, seconds);
+    }
+
+    /**
+     * Record the time a request waited for a generation slot
+     * @param {number} seconds - Wait
+     */
+    observeQueueWait(seconds) {
+        this.queueWait.observe({}, seconds);
+    }
+
+    /**
+     * Record a generation
+     * @param {string} kind - sessions, completions, extractions, summaries or moderations
+     * @param {Object} usage - Usage from measureUsage()
+     */
+    observeGeneration(kind, usage) {
+        this.generationDuration.observe({ kind }, usage.durationMs / 1000);
+        this.tokens.inc({ kind, type: 'prompt' }, usage.promptTokens);
+        this.tokens.inc({ kind, type: 'completion' }, usage.completionTokens);
+    }
+
+    /**
+     * Count created sessions
+     */
+    countCreatedSession() {
+        this.createdSessions.inc();
+    }
+
+    /**
+     * Count inactive sessions cleaned up
+     * @param {number} count - Sessions removed
+     */
+    countCleanedSessions(count) {
+        this.cleanedSessions.inc({}, count);
+    }
+
+    /**
+     * Count a failed message, extraction or completion
+     * @param {string} type - Error type, see getErrorType()
+     */
+    countError(type) {
+        this.errors.inc({ type });
+    }
+
+    /**
+     * Count a message or answer blocked by the moderation rules
+     * @param {string} reason - off_topic for topic rules, else the rule type, such as blocklist
+     */
+    countRefusal(reason) {
+        this.moderationRefusals.inc({ reason });
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+        if (this.getQueueStatus) {
+            this._collectQueueStatus(this.getQueueStatus());
+        }
+
+        return this.metrics.map(metric => metric.render()).join('');
+    }
+
+    /**
+     * Set the gauges read from the queue status
+     * @param {Object} status - Queue status
+     */
+    _collectQueueStatus(status) {
+        this.queueLength.set({}, status.queueLength);
+        this.queueMaxLength.set({}, status.maxQueueLength);
+        this.activeGenerations.set({}, status.activeGenerations);
+        this.generationSlots.set({}, status.maxParallelGenerations);
+        this.activeSessions.set({}, status.activeSessions);
+
+        // Only the llama.cpp backend shares contexts between sessions
+        if (status.contextPool) {
+            this.contextSequences.set({ state: 'total' }, status.contextPool.totalSequences);
+            this.contextSequences.set({ state: 'allocated' }, status.contextPool.allocatedSequences);
+            this.contextSequences.set({ state: 'in_use' }, status.contextPool.sequencesInUse);
+            this.contextEvictions.set({}, status.contextPool.evictions);
+        }
+    }
+
+    /**
+     * Register a metric to render
+     * @param {Metric|Histogram} metric - Metric
+     * @returns {Metric|Histogram} - The metric
+     */
+    _add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+}
+
+/**
+ * Name the type of a failed message, extraction or completion
+ * @param {Error} error - Error raised by the AI implementation
+ * @param {number} status - HTTP status it is answered with
+ * @returns {string} - cancelled, invalid_request, not_found, conflict, too_large, invalid_output, busy,
+ *     timeout or internal
+ */
+export function getErrorType(error, status) {
+    if (error.cancelled) {
+        return 'cancelled';
+    }
+
+    switch (status) {
+        case 400:
+            return 'invalid_request';
+        case 404:
+            return 'not_found';
+        case 409:
+            return 'conflict';
+        case 413:
+            return 'too_large';
+        case 502:
+            return 'invalid_output';
+        case 503:
+            return 'busy';
+        case 504:
+            return 'timeout';
+        default:
+            return 'internal';
+    }
+}
+
+/**
+ * Counter or gauge, one value per combination of labels
+ */
+class Metric {
+    /**
+     * @param {string} type - counter or gauge
+     * @param {string} name - Name, without the openauxilium_ prefix
+     * @param {string} help - Description
+     * @param {Array<string>} [labelNames] - Labels of the values
+     */
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = PREFIX + name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // label values -> { labels, value }
+    }
+
+    /**
+     * Add to a value
+     * @param {Object} [labels] - Label values
+     * @param {number} [amount] - Amount added
+     */
+    inc(labels = {}, amount = 1) {
+        this._get(labels).value += amount;
+    }
+
+    /**
+     * Set a value, for gauges and counters kept by someone else
+     * @param {Object} labels - Label values
+     * @param {number} value - Value
+     */
+    set(labels, value) {
+        this._get(labels).value = value;
+    }
+
+    /**
+     * Get the entry of a label combination, created at 0
+     * @param {Object} labels - Label values
+     * @returns {{labels: Object, value: number}}
+     */
+    _get(labels) {
+        const key = this.labelNames.map(name => labels[name]).join('\u0000');
+
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, value: 0 });
+        }
+
+        return this.values.get(key);
+    }
+
+    /**
+     * @returns {string} - HELP and TYPE lines, then a line per value
+     */
+    render() {
+        // Unlabelled metrics are shown at 0 until they are recorded
+        const entries = this.values.size === 0 && this.labelNames.length === 0 ?
+            [{ labels: {}, value: 0 }] :
+            [...this.values.values()];
+
+        return renderHeader(this) +
+            entries.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}\n`).join('');
+    }
+}
+
+/**
+ * Histogram counting observations in cumulative buckets, one per combination of labels
+ */
+class Histogram {
+    /**
+     * @param {string} name - Name, without the openauxilium_ prefix
+     * @param {string} help - Description
+     * @param {Array<string>} labelNames - Labels of the observations
+     * @param {Array<number>} buckets - Bucket upper bounds, ascending
+     */
+    constructor(name, help, labelNames, buckets) {
+        this.type = 'histogram';
+        this.name = PREFIX + name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.values = new Map(); // label values -> { labels, counts, sum, count }
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const key = this.labelNames.map(name => labels[name]).join('\u0000');
+
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const entry = this.values.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * @returns {string} - HELP and TYPE lines, then the buckets, sum and count of each label combination
+     */
+    render() {
+        const entries = this.values.size === 0 && this.labelNames.length === 0 ?
+            [{ labels: {}, counts: this.buckets.map(() => 0), sum: 0, count: 0 }] :
+            [...this.values.values()];
+
+        return renderHeader(this) + entries.map(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, index) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}\n`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`,
+            `${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}\n`,
+            `${this.name}_count${formatLabels(labels)} ${count}\n`
+        ].join('')).join('');
+    }
+}
+
+/**
+ * Render the HELP and TYPE lines of a metric
+ * @param {Metric|Histogram} metric - Metric
+ * @returns {string}
+ */
+function renderHeader({ name, help, type }) {
+    return `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n# TYPE ${name} ${type}\n`;
+}
+
+/**
+ * Format label values, escaping backslashes, quotes and newlines
+ * @param {Object} labels - Label values
+ * @returns {string} - {name="value",...}, empty without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    if (Number.isNaN(value)) {
+        return 'NaN';
+    }
+
+    return Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : '-Inf');
+}
@@ -0,0 +1,367 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'ModerationPipeline' });
+
+export const MODERATION_RULE_TYPES = ['blocklist', 'regex', 'injection', 'classifier', 'topic', 'module'];
+export const MODERATION_ACTIONS = ['block', 'rewrite', 'flag'];
+export const MODERATION_STAGES = ['input', 'output', 'both'];
+
+export const DEFAULT_BLOCK_MESSAGE = 'Sorry, I can\'t help with that.';
+export const DEFAULT_OFF_TOPIC_MESSAGE = 'Sorry, I can only help with questions about';
+export const DEFAULT_CATEGORIES = ['harassment', 'hate', 'self-harm', 'sexual', 'violence', 'illegal'];
+
+// Common ways of overriding the system prompt or impersonating the chat template
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your)\b.{0,40}\b(instructions|rules|prompts?|directions|guidelines)\b/i,
+    /\b(reveal|show|print|repeat|output|tell me)\b.{0,40}\b(system prompt|initial prompt|hidden instructions|your instructions)\b/i,
+    /\b(developer|god|dan|jailbreak|unrestricted) mode\b/i,
+    /\byou are (now|no longer)\b.{0,40}\b(unfiltered|uncensored|jailbroken|without (any )?(rules|restrictions|limits))\b/i,
+    /<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?INST\]|<<\/?SYS>>/i,
+    /^\s*(system|assistant)\s*:/im
+];
+
+/**
+ * Checks between the visitor and the model: rules run in order on a message
+ * before it is answered (input) and on the answer before it is returned
+ * (output). A matching rule blocks the text, rewrites the matches, or only
+ * flags the turn for review.
+ */
+export class ModerationPipeline {
+    /**
+     * @param {Array<Object>} [rules] - Rule declarations, see addRule()
+     * @param {Object} [options] - Pipeline options
+     * @param {Metrics|null} [options.metrics] - Counts the blocked texts by reason
+     */
+    constructor(rules = [], { metrics = null } = {}) {
+        this.rules = [];
+        this.metrics = metrics;
+        this.stats = { checks: 0, blocked: 0, rewritten: 0, flagged: 0, offTopic: 0 };
+
+        for (const rule of rules) {
+            this.addRule(rule);
+        }
+    }
+
+    /**
+     * Add the rules declared in a JSON config file
+     * @param {string} filePath - Config file, an array of rule declarations
+     * @returns {Promise<void>}
+     */
+    async loadConfig(filePath) {
+        const declarations = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+        if (!Array.isArray(declarations)) {
+            throw new Error(`Moderation config ${filePath} must be an array of rules`);
+        }
+
+        for (const declaration of declarations) {
+            this.addRule(declaration.type === 'module' ?
+                { ...declaration, check: await loadModule(declaration.module, path.dirname(filePath)) } :
+                declaration);
+        }
+
+        log.info(`Loaded ${declarations.length} rules`, { filePath });
+    }
+
+    /**
+     * Add a rule
+     * @param {Object} rule - Rule declaration
+     * @param {string} rule.type - blocklist (words), regex (pattern, flags), injection, classifier (categories),
+     *     topic (topics, examples) or module (check)
+     * @param {string} [rule.name] - Name in flags and logs, the type and position by default
+     * @param {string} [rule.action] - block, rewrite or flag, block by default. Injection, classifier and
+     *     topic rules can't rewrite.
+     * @param {string} [rule.stage] - input, output or both, input by default. Topic rules only check messages.
+     * @param {string} [rule.message] - Reply replacing a blocked text
+     * @param {string} [rule.replacement] - Text replacing the matches of a rewrite
+     * @param {Array<string>} [rule.words] - Blocklist words and phrases, matched whole and case-insensitively
+     * @param {string} [rule.pattern] - Regex rule pattern
+     * @param {string} [rule.flags] - Regex rule flags, i by default
+     * @param {Array<string>} [rule.categories] - Classifier categories
+     * @param {Array<string>} [rule.topics] - Topics messages must be about
+     * @param {{inScope: Array<string>, outOfScope: Array<string>}} [rule.examples] - Example messages in and
+     *     out of the topics
+     * @param {function(string, Object): Promise<Object|null>} [rule.check] - Module rule, resolves to null or
+     *     { reason, text } where text is the rewrite
+     */
+    addRule({ type, name, action = 'block', stage = 'input', message, replacement, ...options }) {
+        if (!MODERATION_RULE_TYPES.includes(type)) {
+            throw new Error(`Moderation rule type must be one of ${MODERATION_RULE_TYPES.join(', ')}`);
+        }
+
+        const ruleName = name || `${type}-${this.rules.length + 1}`;
+
+        if (!MODERATION_ACTIONS.includes(action)) {
+            throw new Error(`Action of moderation rule ${ruleName} must be one of ${MODERATION_ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'rewrite' && (type === 'injection' || type === 'classifier' || type === 'topic')) {
+            throw new Error(`Moderation rule ${ruleName} can't rewrite, ${type} rules block or flag`);
+        }
+
+        if (!MODERATION_STAGES.includes(stage)) {
+            throw new Error(`Stage of moderation rule ${ruleName} must be one of ${MODERATION_STAGES.join(', ')}`);
+        }
+
+        if (type === 'topic' && stage !== 'input') {
+            throw new Error(`Moderation rule ${ruleName} can only check messages, topic rules have the input stage`);
+        }
+
+        const matcher = createMatcher(type, ruleName, options);
+
+        this.rules.push({
+            name: ruleName,
+            type,
+            action,
+            stage,
+            message: message || (type === 'topic' ?
+                `${DEFAULT_OFF_TOPIC_MESSAGE} ${matcher.topics.join(', ')}.` :
+                DEFAULT_BLOCK_MESSAGE),
+            replacement: replacement === undefined ? '[removed]' : replacement,
+            matches: 0,
+            ...matcher
+        });
+    }
+
+    /**
+     * Get how many texts were checked and what the rules did to them since the server started
+     * @returns {{checks: number, blocked: number, rewritten: number, flagged: number, offTopic: number,
+     *     rules: Array<{name: string, type: string, action: string, stage: string, matches: number}>}} - offTopic
+     *     counts the messages refused by topic rules
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            rules: this.rules.map(({ name, type, action, stage, matches }) => ({ name, type, action, stage, matches }))
+        };
+    }
+
+    /**
+     * Whether any rule checks a stage
+     * @param {string} stage - input or output
+     * @returns {boolean}
+     */
+    hasRules(stage) {
+        return this.rules.some(rule => rule.stage === stage || rule.stage === 'both');
+    }
+
+    /**
+     * Run the rules of a stage on a text. Rewrites apply to the following rules,
+     * the first blocking rule stops the pipeline.
+     * @param {string} text - Message or answer
+     * @param {Object} context - Check context
+     * @param {string} context.stage - input or output
+     * @param {string|null} [context.sessionId] - Session of the text
+     * @param {function(string, Array<string>, AbortSignal): Promise<{flagged: boolean, category: string}>} [context.classify] -
+     *     Classifies a text with the model, classifier rules are skipped without it
+     * @param {function(string, Object, AbortSignal): Promise<{inScope: boolean}>} [context.classifyTopic] -
+     *     Tells with the model whether a message is about the topics of a rule, topic rules are skipped without it
+     * @param {AbortSignal} [context.signal] - Aborts the classifier and module rules
+     * @returns {Promise<{text: string, blocked: boolean, message: string|null, flags: Array<Object>}>} - Text to
+     *     use, whether it was blocked with the reply replacing it, and the rules that matched
+     */
+    async check(text, { stage, sessionId = null, classify = null, classifyTopic = null, signal } = {}) {
+        const flags = [];
+        let current = text;
+        this.stats.checks++;
+
+        for (const rule of this.rules) {
+            if (rule.stage !== stage && rule.stage !== 'both') {
+                continue;
+            }
+
+            let match;
+            if (rule.type === 'classifier') {
+                match = classify ? await matchClassifier(rule, current, classify, signal) : null;
+            } else if (rule.type === 'topic') {
+                match = classifyTopic ? await matchTopic(rule, current, classifyTopic, signal) : null;
+            } else if (rule.type === 'module') {
+                match = await rule.check(current, { stage, sessionId, signal });
+            } else {
+                match = matchPattern(rule, current);
+            }
+
+            if (!match) {
+                continue;
+            }
+
+            rule.matches++;
+            flags.push({ rule: rule.name, action: rule.action, reason: match.reason });
+            log.warn(`Rule ${rule.name} (${rule.action}) matched the ${stage}`, { sessionId, reason: match.reason });
+
+            if (rule.action === 'block') {
+                this.stats.blocked++;
+                if (rule.type === 'topic') {
+                    this.stats.offTopic++;
+                }
+                if (this.metrics) {
+                    this.metrics.countRefusal(rule.type === 'topic' ? 'off_topic' : rule.type);
+                }
+                return { text: current, blocked: true, message: rule.message, flags };
+            }
+
+            if (rule.action === 'rewrite') {
+                // Modules return their rewrite, pattern rules replace their matches
+                current = rule.regex ? current.replace(rule.regex, rule.replacement) : (match.text ?? current);
+                this.stats.rewritten++;
+            } else {
+                this.stats.flagged++;
+            }
+        }
+
+        return { text: current, blocked: false, message: null, flags };
+    }
+}
+
+/**
+ * Build the matching part of a rule
+ * @param {string} type - Rule type
+ * @param {string} name - Rule name, for errors
+ * @param {Object} options - Type options
+ * @returns {Object} - regex, categories or check
+ */
+function createMatcher(type, name, { words, pattern, flags = 'i', categories, topics, examples, check }) {
+    switch (type) {
+        case 'blocklist': {
+            if (!Array.isArray(words) || words.length === 0 || !words.every(word => typeof word === 'string' && word.trim())) {
+                throw new Error(`Blocklist rule ${name} needs a non-empty words array`);
+            }
+
+            const alternatives = words.map(word => word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+            return { regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu') };
+        }
+        case 'regex': {
+            if (typeof pattern !== 'string' || pattern === '') {
+                throw new Error(`Regex rule ${name} needs a pattern`);
+            }
+
+            try {
+                // Global, so rewrites replace every match
+                return { regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) };
+            } catch (error) {
+                throw new Error(`Invalid pattern of regex rule ${name}: ${error.message}`);
+            }
+        }
+        case 'injection':
+            return { patterns: INJECTION_PATTERNS };
+        case 'classifier': {
+            const list = categories || DEFAULT_CATEGORIES;
+            if (!Array.isArray(list) || list.length === 0 || !list.every(category => typeof category === 'string' && category)) {
+                throw new Error(`Classifier rule ${name} needs a non-empty categories array`);
+            }
+
+            return { categories: list };
+        }
+        case 'topic': {
+            const isList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim());
+            const { inScope = [], outOfScope = [] } = examples || {};
+
+            if (!isList(topics) || topics.length === 0) {
+                throw new Error(`Topic rule ${name} needs a non-empty topics array`);
+            }
+
+            if (!isList(inScope) || !isList(outOfScope)) {
+                throw new Error(`Examples of topic rule ${name} must be arrays of messages`);
+            }
+
+            return { topics, examples: { inScope, outOfScope } };
+        }
+        case 'module':
+            if (typeof check !== 'function') {
+                throw new Error(`Module rule ${name} needs a check function`);
+            }
+
+            return { check };
+    }
+}
+
+/**
+ * Match a blocklist, regex or injection rule
+ * @param {Object} rule - Rule
+ * @param {string} text - Checked text
+ * @returns {{reason: string}|null}
+ */
+function matchPattern(rule, text) {
+    const patterns = rule.patterns || [rule.regex];
+
+    for (const pattern of patterns) {
+        // Global regexes keep their position between calls
+        pattern.lastIndex = 0;
+        const match = pattern.exec(text);
+        pattern.lastIndex = 0;
+
+        if (match) {
+            return { reason: rule.type === 'injection' ? 'Possible prompt injection' : `Matched "${match[0]}"` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Match a classifier rule. A failing classification lets the text through.
+ * @param {Object} rule - Classifier rule
+ * @param {string} text - Checked text
+ * @param {Function} classify - Model classification
+ * @param {AbortSignal} [signal] - Aborts the classification
+ * @returns {Promise<{reason: string}|null>}
+ */
+async function matchClassifier(rule, text, classify, signal) {
+    try {
+        const { flagged, category } = await classify(text, rule.categories, signal);
+        return flagged ? { reason: `Classified as ${category}` } : null;
+    } catch (error) {
+        if (signal && signal.aborted) {
+            throw error;
+        }
+
+        log.error(`Classifier rule ${rule.name} failed, letting the text through`, { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Match a topic rule. A failing classification lets the message through.
+ * @param {Object} rule - Topic rule
+ * @param {string} text - Checked message
+ * @param {Function} classifyTopic - Model classification
+ * @param {AbortSignal} [signal] - Aborts the classification
+ * @returns {Promise<{reason: string}|null>}
+ */
+async function matchTopic(rule, text, classifyTopic, signal) {
+    try {
+        const { inScope } = await classifyTopic(text, { topics: rule.topics, examples: rule.examples }, signal);
+        return inScope ? null : { reason: 'Off topic' };
+    } catch (error) {
+        if (signal && signal.aborted) {
+            throw error;
+        }
+
+        log.error(`Topic rule ${rule.name} failed, letting the message through`, { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Import the check function of a module rule
+ * @param {string} modulePath - Module path
+ * @param {string} baseDirectory - Directory the path is relative to
+ * @returns {Promise<Function>}
+ */
+async function loadModule(modulePath, baseDirectory) {
+    if (typeof modulePath !== 'string') {
+        throw new Error('Module rules need a module path');
+    }
+
+    const resolved = path.resolve(baseDirectory, modulePath);
+    const { default: check } = await import(pathToFileURL(resolved).href);
+
+    if (typeof check !== 'function') {
+        throw new Error(`Moderation module ${resolved} must export a default function`);
+    }
+
+    return check;
+}
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { validateGeneration } from '../AI/generation.js';
+import { logger } from '../Logging/Logger.js';
+import { createValidationError } from '../Errors/errors.js';
+
+const log = logger.child({ component: 'PersonaManager' });
+
+const DEFAULT_PERSONA_ID = 'default';
+const PERSONA_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Named personas (system prompt, generation settings and welcome message) sessions can be started with.
+ * The default persona always exists and is the one the system role routes manage.
+ */
+export class PersonaManager {
+    /**
+     * @param {Object} [options] - Manager options
+     * @param {string|null} [options.filePath] - JSON file persisting the personas, kept in memory when null
+     * @param {string} [options.defaultSystemPrompt] - System prompt of the default persona when none is stored
+     */
+    constructor({ filePath = null, defaultSystemPrompt = 'You are a helpful assistant.' } = {}) {
+        this.filePath = filePath;
+        this.personas = new Map(); // personaId -> persona
+        this._setDefaultPersona(defaultSystemPrompt);
+    }
+
+    /**
+     * Load the stored personas
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (!this.filePath) {
+            return;
+        }
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            for (const persona of JSON.parse(content)) {
+                this.personas.set(persona.id, persona);
+            }
+            log.info(`Loaded ${this.personas.size} personas`, { filePath: this.filePath });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * List every persona
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.personas.values());
+    }
+
+    /**
+     * Get a persona
+     * @param {string} [personaId] - Persona identifier, the default persona when omitted
+     * @returns {Object} - Persona
+     */
+    get(personaId = DEFAULT_PERSONA_ID) {
+        const persona = this.personas.get(personaId);
+
+        if (!persona) {
+            const error = new Error(`Persona ${personaId} not found`);
+            error.status = 404;
+            throw error;
+        }
+
+        return persona;
+    }
+
+    /**
+     * Create a persona
+     * @param {Object} data - Persona fields
+     * @param {string} data.id - Identifier, letters, digits, dashes and underscores
+     * @param {string} [data.name] - Display name, defaults to the ID
+     * @param {string} data.systemPrompt - System prompt of the sessions using the persona
+     * @param {string} [data.welcomeMessage] - First message shown by the widget
+     * @param {Object} [data.generation] - Generation settings: temperature, topP, maxTokens, repeatPenalty, stop
+     * @returns {Promise<Object>} - Created persona
+     */
+    async create(data) {
+        const { id } = data;
+
+        if (typeof id !== 'string' || !PERSONA_ID_PATTERN.test(id)) {
+            throw createValidationError('id is required and may only contain letters, digits, dashes and underscores');
+        }
+
+        if (this.personas.has(id)) {
+            const error = new Error(`Persona ${id} already exists`);
+            error.status = 409;
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const persona = {
+            id,
+            ...validatePersona({ name: id, welcomeMessage: null, generation: {}, ...data }),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.personas.set(id, persona);
+        await this._save();
+
+        log.info('Created persona', { persona: id });
+        return persona;
+    }
+
+    /**
+     * Update a persona, omitted fields are kept
+     * @param {string} personaId - Persona identifier
+     * @param {Object} changes - Fields to change, see create()
+     * @returns {Promise<Object>} - Updated persona
+     */
+    async update(personaId, changes) {
+        const current = this.get(personaId);
+        const { id, createdAt, updatedAt, ...fields } = current;
+
+        const persona = {
+            id,
+            ...validatePersona({ ...fields, ...changes }),
+            createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.personas.set(personaId, persona);
+        await this._save();
+
+        log.info('Updated persona', { persona: personaId });
+        return persona;
+    }
+
+    /**
+     * Delete a persona, sessions started with it keep their copy
+     * @param {string} personaId - Persona identifier
+     * @returns {Promise<void>}
+     */
+    async delete(personaId) {
+        this.get(personaId);
+
+        if (personaId === DEFAULT_PERSONA_ID) {
+            throw createValidationError('The default persona cannot be deleted');
+        }
+
+        this.personas.delete(personaId);
+        await this._save();
+
+        log.info('Deleted persona', { persona: personaId });
+    }
+
+    /**
+     * Create the in-memory default persona
+     * @param {string} systemPrompt - Its system prompt
+     */
+    _setDefaultPersona(systemPrompt) {
+        const now = new Date().toISOString();
+
+        this.personas.set(DEFAULT_PERSONA_ID, {
+            id: DEFAULT_PERSONA_ID,
+            name: 'Default',
+            systemPrompt,
+            welcomeMessage: null,
+            generation: {},
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Write every persona to the file, through a temporary file so a crash never truncates it
+     * @returns {Promise<void>}
+     */
+    async _save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(this.list(), null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+/**
+ * Validate the editable fields of a persona
+ * @param {Object} fields - name, systemPrompt, welcomeMessage and generation
+ * @returns {Object} - Validated fields
+ */
+function validatePersona({ name, systemPrompt, welcomeMessage, generation }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw createValidationError('name must be a non-empty string');
+    }
+
+    if (typeof systemPrompt !== 'string' || systemPrompt.trim() === '') {
+        throw createValidationError('systemPrompt is required and must be a string');
+    }
+
+    if (welcomeMessage !== null && typeof welcomeMessage !== 'string') {
+        throw createValidationError('welcomeMessage must be a string');
+    }
+
+    return { name, systemPrompt, welcomeMessage, generation: validateGeneration(generation) };
+}
@@ -0,0 +1,236 @@
+import util from 'util';
+
+export const REDACTION_DETECTORS = ['email', 'phone', 'iban', 'card'];
+export const INCOMING_MESSAGE_MODES = ['raw', 'redacted'];
+
+// Checked in this order, so digits of IBANs and card numbers aren't taken for phone numbers
+const DETECTORS = {
+    iban: {
+        regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/gi,
+        validate: isValidIban,
+        // The match may run into the next word
+        trim: true
+    },
+    card: {
+        regex: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        validate: isValidCardNumber,
+        trim: true
+    },
+    email: {
+        regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+    },
+    phone: {
+        regex: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{1,4}){2,6}(?!\w)/g,
+        // Shorter runs are more often dates, amounts or order numbers
+        validate: match => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 9 && digits <= 15;
+        }
+    }
+};
+
+/**
+ * Replaces personal data in texts with placeholders such as [email], before
+ * they are stored in the session history or logged
+ */
+export class Redactor {
+    /**
+     * @param {Object} [options] - Redaction options
+     * @param {Array<string>} [options.detectors] - Built-in detectors: email, phone, iban and card, all by default
+     * @param {Array<{name: string, pattern: string, flags?: string}>} [options.patterns] - Custom patterns,
+     *     their matches are replaced with [name]
+     * @param {string} [options.incomingMessages] - raw to give the model the messages being answered as sent,
+     *     redacted to give it the redacted text, raw by default. Earlier turns always come from the
+     *     redacted history.
+     */
+    constructor({ detectors = REDACTION_DETECTORS, patterns = [], incomingMessages = 'raw' } = {}) {
+        for (const detector of detectors) {
+            if (!REDACTION_DETECTORS.includes(detector)) {
+                throw new Error(`Redaction detector must be one of ${REDACTION_DETECTORS.join(', ')}`);
+            }
+        }
+
+        if (!INCOMING_MESSAGE_MODES.includes(incomingMessages)) {
+            throw new Error(`Incoming messages must be one of ${INCOMING_MESSAGE_MODES.join(', ')}`);
+        }
+
+        this.rules = [
+            ...Object.keys(DETECTORS)
+                .filter(name => detectors.includes(name))
+                .map(name => ({ name, ...DETECTORS[name] })),
+            ...patterns.map(createPatternRule)
+        ];
+        this.incomingMessages = incomingMessages;
+    }
+
+    /**
+     * Replace the personal data found in a text
+     * @param {string} text - Text to redact
+     * @returns {string}
+     */
+    redact(text) {
+        if (typeof text !== 'string' || text === '') {
+            return text;
+        }
+
+        return this.rules.reduce((redacted, rule) => redacted.replace(rule.regex, match => replaceMatch(rule, match)), text);
+    }
+
+    /**
+     * Redact the strings of a value, such as the arguments and result of a tool call
+     * @param {*} value - Any JSON value
+     * @returns {*} - Copy with the strings redacted
+     */
+    redactValue(value) {
+        if (typeof value === 'string') {
+            return this.redact(value);
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactValue(item));
+        }
+
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)]));
+        }
+
+        return value;
+    }
+
+    /**
+     * Text of a message being answered to give the model, depending on the incoming messages setting
+     * @param {string} text - Message as sent
+     * @returns {string}
+     */
+    forModel(text) {
+        return this.incomingMessages === 'redacted' ? this.redact(text) : text;
+    }
+}
+
+/**
+ * Read the redaction settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {{enabled: boolean, detectors: Array<string>, patterns: Array<Object>, incomingMessages: string}}
+ */
+export function readRedactionConfig(env) {
+    const patterns = env.REDACT_PATTERNS ? JSON.parse(env.REDACT_PATTERNS) : [];
+    if (!Array.isArray(patterns)) {
+        throw new Error('REDACT_PATTERNS must be a JSON array of {"name", "pattern"} objects');
+    }
+
+    return {
+        enabled: env.REDACT_PII !== 'false',
+        detectors: env.REDACT_DETECTORS !== undefined ?
+            env.REDACT_DETECTORS.split(',').map(name => name.trim()).filter(Boolean) :
+            REDACTION_DETECTORS,
+        patterns,
+        incomingMessages: env.REDACT_INCOMING_MESSAGES || 'raw'
+    };
+}
+
+/**
+ * Redact what the console writes, so messages quoted in logs and errors don't leak personal data
+ * @param {Redactor} redactor - Redactor
+ * @param {Object} [target] - Console to patch
+ */
+export function redactConsole(redactor, target = console) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        const write = target[method].bind(target);
+
+        target[method] = (...args) => write(...args.map(arg =>
+            typeof arg === 'string' ? redactor.redact(arg) : redactor.redact(util.inspect(arg))));
+    }
+}
+
+/**
+ * Replace a match that passes the rule's check. Failing matches of trimmed rules
+ * are retried without their last group.
+ * @param {Object} rule - Detector or custom pattern
+ * @param {string} match - Matched text
+ * @returns {string}
+ */
+function replaceMatch(rule, match) {
+    if (!rule.validate) {
+        return `[${rule.name}]`;
+    }
+
+    for (let end = match.length; end > 0; end = rule.trim ? match.slice(0, end).search(/[ .-][^ .-]*$/) : -1) {
+        if (rule.validate(match.slice(0, end))) {
+            return `[${rule.name}]${match.slice(end)}`;
+        }
+    }
+
+    return match;
+}
+
+/**
+ * Build the rule of a custom pattern
+ * @param {Object} pattern - Custom pattern
+ * @param {string} pattern.name - Placeholder name
+ * @param {string} pattern.pattern - Regex source
+ * @param {string} [pattern.flags] - Regex flags
+ * @returns {{name: string, regex: RegExp}}
+ */
+function createPatternRule({ name, pattern, flags = '' }) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+        throw new Error('Redaction patterns need a name of letters, digits, - and _');
+    }
+
+    if (typeof pattern !== 'string' || pattern === '') {
+        throw new Error(`Redaction pattern ${name} needs a pattern`);
+    }
+
+    try {
+        return { name, regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) };
+    } catch (error) {
+        throw new Error(`Invalid redaction pattern ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Check an IBAN with its mod-97 checksum
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean}
+ */
+function isValidIban(value) {
+    const iban = value.replace(/ /g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) {
+        return false;
+    }
+
+    // Country and check digits move to the end, letters become 10 to 35
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+
+    return remainder === 1;
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} value - Candidate card number, spaces and dashes allowed
+ * @returns {boolean}
+ */
+function isValidCardNumber(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) {
+        return false;
+    }
+
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SessionStore } from './SessionStore.js';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'FileSessionStore' });
+
+/**
+ * Session store writing one JSON file per session in a directory
+ */
+export class FileSessionStore extends SessionStore {
+    /**
+     * @param {string} directory - Directory holding the session files
+     */
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        this.locks = new Map(); // sessionId -> last write queued, the writes of a session run in order
+    }
+
+    async initialize() {
+        await fs.mkdir(this.directory, { recursive: true });
+        log.info('Storing sessions', { directory: this.directory });
+    }
+
+    async load(sessionId) {
+        try {
+            const content = await fs.readFile(this._getPath(sessionId), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async loadAll() {
+        const files = await fs.readdir(this.directory);
+        const sessions = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+
+            try {
+                const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+                sessions.push(JSON.parse(content));
+            } catch (error) {
+                log.error(`Skipping unreadable session file ${file}`, { error });
+            }
+        }
+
+        return sessions;
+    }
+
+    async save(sessionId, data) {
+        const content = JSON.stringify(data);
+
+        // Write to a temporary file first so a crash never leaves a truncated session. Writes of
+        // the same session share the temporary file, so they wait for each other.
+        await this._withLock(sessionId, async () => {
+            const filePath = this._getPath(sessionId);
+            const tempPath = `${filePath}.tmp`;
+
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, filePath);
+        });
+    }
+
+    async delete(sessionId) {
+        // After the pending saves, which would write the session again
+        await this._withLock(sessionId, () => fs.rm(this._getPath(sessionId), { force: true }));
+    }
+
+    /**
+     * Get the file path of a session, session IDs are encoded so they can't escape the directory
+     * @param {string} sessionId - Session identifier
+     * @returns {string}
+     */
+    _getPath(sessionId) {
+        return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+    }
+
+    /**
+     * Run a write of a session once its previous writes are done
+     * @param {string} sessionId - Session identifier
+     * @param {Function} fn - Async write
+     * @returns {Promise<*>}
+     */
+    _withLock(sessionId, fn) {
+        const run = (this.locks.get(sessionId) || Promise.resolve()).then(fn);
+        const lock = run.catch(() => {});
+        this.locks.set(sessionId, lock);
+
+        // Forget the sessions without pending writes
+        lock.then(() => {
+            if (this.locks.get(sessionId) === lock) {
+                this.locks.delete(sessionId);
+            }
+        });
+
+        return run;
+    }
+}
@@ -0,0 +1,28 @@
+import { SessionStore } from './SessionStore.js';
+
+/**
+ * Session store keeping everything in memory, sessions are lost on restart
+ */
+export class MemorySessionStore extends SessionStore {
+    constructor() {
+        super();
+        this.sessions = new Map();
+    }
+
+    async load(sessionId) {
+        const data = this.sessions.get(sessionId);
+        return data ? structuredClone(data) : null;
+    }
+
+    async loadAll() {
+        return Array.from(this.sessions.values(), data => structuredClone(data));
+    }
+
+    async save(sessionId, data) {
+        this.sessions.set(sessionId, structuredClone(data));
+    }
+
+    async delete(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+}
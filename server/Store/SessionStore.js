@@ -0,0 +1,47 @@
+/**
+ * Abstract interface for persisting conversation sessions
+ */
+export class SessionStore {
+    /**
+     * Prepare the store (create directories, open connections...)
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+    }
+
+    /**
+     * Load a single stored session
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object|null>} - Stored session data, or null if unknown
+     */
+    async load(sessionId) {
+        throw new Error('load method must be implemented');
+    }
+
+    /**
+     * Load every stored session
+     * @returns {Promise<Array<Object>>} - Stored session data
+     */
+    async loadAll() {
+        throw new Error('loadAll method must be implemented');
+    }
+
+    /**
+     * Create or replace a stored session
+     * @param {string} sessionId - Session identifier
+     * @param {Object} data - Serializable session data
+     * @returns {Promise<void>}
+     */
+    async save(sessionId, data) {
+        throw new Error('save method must be implemented');
+    }
+
+    /**
+     * Remove a stored session
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<void>}
+     */
+    async delete(sessionId) {
+        throw new Error('delete method must be implemented');
+    }
+}
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../Logging/Logger.js';
+
+const log = logger.child({ component: 'ToolRegistry' });
+
+export const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+
+/**
+ * Tools the model can call while answering, such as looking up an order status.
+ * Each tool has a JSON schema for its parameters and a handler: a local HTTP
+ * endpoint or a JS module. Calls never throw, failures are returned to the model.
+ */
+export class ToolRegistry {
+    /**
+     * @param {Object} [options] - Registry options
+     * @param {number} [options.timeoutMs] - Default time limit of a tool call
+     */
+    constructor({ timeoutMs = 10000 } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.tools = new Map(); // name -> { name, description, parameters, handler, timeoutMs }
+    }
+
+    /**
+     * Register the tools declared in a JSON config file
+     * @param {string} filePath - Config file, an array of tool declarations
+     * @returns {Promise<void>}
+     */
+    async loadConfig(filePath) {
+        const declarations = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+        if (!Array.isArray(declarations)) {
+            throw new Error(`Tool config ${filePath} must be an array of tools`);
+        }
+
+        for (const declaration of declarations) {
+            this.register({
+                ...declaration,
+                handler: await createHandler(declaration, path.dirname(filePath))
+            });
+        }
+
+        log.info(`Loaded ${declarations.length} tools`, { filePath });
+    }
+
+    /**
+     * Register a tool
+     * @param {Object} tool - Tool definition
+     * @param {string} tool.name - Name the model calls the tool by
+     * @param {string} tool.description - What the tool does, shown to the model
+     * @param {Object} [tool.parameters] - JSON schema of the parameters
+     * @param {function(Object, {signal: AbortSignal}): Promise<*>} tool.handler - Runs the tool
+     * @param {number} [tool.timeoutMs] - Time limit of a call, defaults to the registry's
+     */
+    register({ name, description, parameters, handler, timeoutMs }) {
+        if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid tool name: ${name}`);
+        }
+
+        if (this.tools.has(name)) {
+            throw new Error(`Tool ${name} is already registered`);
+        }
+
+        if (typeof description !== 'string' || description.trim() === '') {
+            throw new Error(`Tool ${name} needs a description`);
+        }
+
+        if (typeof handler !== 'function') {
+            throw new Error(`Tool ${name} needs a handler`);
+        }
+
+        this.tools.set(name, {
+            name,
+            description,
+            parameters: parameters || null,
+            handler,
+            timeoutMs: timeoutMs || this.timeoutMs
+        });
+    }
+
+    /**
+     * Number of registered tools
+     * @returns {number}
+     */
+    get size() {
+        return this.tools.size;
+    }
+
+    /**
+     * Describe the registered tools
+     * @returns {Array<{name: string, description: string, parameters: Object|null}>}
+     */
+    list() {
+        return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+            name,
+            description,
+            parameters
+        }));
+    }
+
+    /**
+     * Call a tool within its time limit
+     * @param {string} name - Tool name
+     * @param {Object} params - Parameters chosen by the model
+     * @param {Object} [options] - Call options
+     * @param {AbortSignal} [options.signal] - Aborts the call, e.g. when the generation is cancelled
+     * @returns {Promise<{result: *}|{error: string}>}
+     */
+    async call(name, params, { signal } = {}) {
+        const tool = this.tools.get(name);
+
+        if (!tool) {
+            return { error: `Unknown tool: ${name}` };
+        }
+
+        const timeoutSignal = AbortSignal.timeout(tool.timeoutMs);
+        const callSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+        try {
+            // Handlers that ignore the signal are still cut off at the time limit
+            const result = await Promise.race([
+                tool.handler(params || {}, { signal: callSignal }),
+                new Promise((_, reject) => {
+                    callSignal.addEventListener('abort', () => reject(callSignal.reason), { once: true });
+                })
+            ]);
+
+            log.info(`Called ${name}`);
+            return { result: result === undefined ? null : result };
+        } catch (error) {
+            const message = timeoutSignal.aborted ?
+                `Tool ${name} timed out after ${tool.timeoutMs}ms` :
+                `Tool ${name} failed: ${error.message}`;
+
+            log.error(message);
+            return { error: message };
+        }
+    }
+}
+
+/**
+ * Create the handler of a declared tool
+ * @param {Object} declaration - Tool declaration with an http or module field
+ * @param {string} baseDirectory - Directory module paths are relative to
+ * @returns {Promise<function(Object, Object): Promise<*>>}
+ */
+async function createHandler(declaration, baseDirectory) {
+    if (declaration.http) {
+        return createHttpHandler(declaration.http);
+    }
+
+    if (declaration.module) {
+        const modulePath = path.resolve(baseDirectory, declaration.module);
+        const { default: handler } = await import(pathToFileURL(modulePath).href);
+
+        if (typeof handler !== 'function') {
+            throw new Error(`Tool module ${modulePath} must export a default function`);
+        }
+
+        return handler;
+    }
+
+    throw new Error(`Tool ${declaration.name} needs an http or module handler`);
+}
+
+/**
+ * Create a handler sending the parameters to an HTTP endpoint as JSON
+ * @param {Object} http - Endpoint declaration
+ * @param {string} http.url - Endpoint URL
+ * @param {string} [http.method] - HTTP method, parameters go in the query string for GET
+ * @param {Object} [http.headers] - Extra request headers
+ * @returns {function(Object, Object): Promise<*>}
+ */
+function createHttpHandler({ url, method = 'POST', headers = {} }) {
+    if (!url) {
+        throw new Error('HTTP tools need a url');
+    }
+
+    return async (params, { signal }) => {
+        const target = new URL(url);
+        const options = {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            signal
+        };
+
+        if (method === 'GET') {
+            for (const [key, value] of Object.entries(params)) {
+                target.searchParams.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+        } else {
+            options.body = JSON.stringify(params);
+        }
+
+        const response = await fetch(target, options);
+        const text = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    };
+}
@@ -4,8 +4,26 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
 import { RunAILlamaCpp } from './AI/RunAILlamaCpp.js';
+import { RunAIOpenAI } from './AI/RunAIOpenAI.js';
+import { RunAIMock } from './AI/RunAIMock.js';
+import { FileSessionStore } from './Store/FileSessionStore.js';
+import { MemorySessionStore } from './Store/MemorySessionStore.js';
+import { PersonaManager } from './Persona/PersonaManager.js';
+import { KnowledgeBase } from './Knowledge/KnowledgeBase.js';
+import { ToolRegistry } from './Tools/ToolRegistry.js';
+import { ModerationPipeline } from './Moderation/ModerationPipeline.js';
+import { Redactor, readRedactionConfig, redactConsole } from './Privacy/Redactor.js';
+import { logger, readLogConfig } from './Logging/Logger.js';
+import { Metrics } from './Metrics/Metrics.js';
+import { ApiKeyStore } from './Auth/ApiKeyStore.js';
 import { createChatRoutes } from './API/chatRoutes.js';
+import { createOpenAIRoutes } from './API/openaiRoutes.js';
+import { createPersonaRoutes } from './API/personaRoutes.js';
+import { createKnowledgeRoutes } from './API/knowledgeRoutes.js';
+import { createMetricsRoutes } from './API/metricsRoutes.js';
 import { setupMiddleware, setupErrorHandling } from './API/middleware.js';
+import { createRateLimits, readRateLimitConfig } from './API/rateLimit.js';
+import { readCount, readPositiveCount } from './Config/env.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,10 +32,15 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
+const log = logger.child({ component: 'Server' });
+
 class OpenAuxiliumServer {
     constructor() {
         this.app = express();
         this.aiInstance = null;
+        this.apiKeys = null;
+        this.redactor = null;
+        this.metrics = null;
         this.server = null;
         this.port = process.env.PORT || 3000;
         this.isShuttingDown = false;
@@ -28,37 +51,210 @@ class OpenAuxiliumServer {
      */
     async initializeAI() {
         try {
-            console.log('[Server] Initializing AI...');
+            log.info('Initializing AI');
 
-            this.aiInstance = new RunAILlamaCpp();
+            this.aiInstance = await this.createAIInstance();
 
             // Get model path from environment
             const modelName = process.env.MODEL_NAME || 'model.gguf';
             const modelPath = path.join(__dirname, 'AI', modelName);
 
-            console.log('[Server] Model path:', modelPath);
+            if (this.aiInstance instanceof RunAILlamaCpp) {
+                log.info('Model path', { modelPath });
+            }
             await this.aiInstance.initialize(modelPath);
 
-            console.log('[Server] AI initialized successfully');
+            log.info('AI initialized');
         } catch (error) {
-            console.error('[Server] Failed to initialize AI:', error);
+            log.error('Failed to initialize AI', { error });
             throw error;
         }
     }
 
+    /**
+     * Create the AI implementation selected by AI_BACKEND
+     * @returns {Promise<RunAI>}
+     */
+    async createAIInstance() {
+        const backend = process.env.AI_BACKEND || 'llamacpp';
+        const options = {
+            sessionStore: this.createSessionStore(),
+            personaManager: this.createPersonaManager(),
+            knowledgeBase: this.createKnowledgeBase(),
+            toolRegistry: await this.createToolRegistry(),
+            moderation: await this.createModerationPipeline(),
+            redactor: this.redactor,
+            metrics: this.metrics
+        };
+
+        log.info('AI backend', { backend });
+
+        switch (backend) {
+            case 'llamacpp':
+                return new RunAILlamaCpp(options);
+            case 'openai':
+                return new RunAIOpenAI(options);
+            case 'mock':
+                return new RunAIMock(options);
+            default:
+                throw new Error(`Unknown AI backend: ${backend}`);
+        }
+    }
+
+    /**
+     * Create the session store selected by SESSION_STORE
+     * @returns {SessionStore}
+     */
+    createSessionStore() {
+        const storeType = process.env.SESSION_STORE || 'file';
+
+        switch (storeType) {
+            case 'memory':
+                return new MemorySessionStore();
+            case 'file': {
+                const storePath = path.resolve(__dirname, process.env.SESSION_STORE_PATH || 'data/sessions');
+                return new FileSessionStore(storePath);
+            }
+            default:
+                throw new Error(`Unknown session store: ${storeType}`);
+        }
+    }
+
+    /**
+     * Create the persona manager, personas are persisted unless sessions are kept in memory
+     * @returns {PersonaManager}
+     */
+    createPersonaManager() {
+        const filePath = process.env.SESSION_STORE === 'memory' ?
+            null :
+            path.resolve(__dirname, process.env.PERSONAS_PATH || 'data/personas.json');
+
+        return new PersonaManager({
+            filePath,
+            defaultSystemPrompt: process.env.AI_SYSTEM_ROLE
+        });
+    }
+
+    /**
+     * Create the knowledge base unless KNOWLEDGE_BASE=false, stored like the personas
+     * @returns {KnowledgeBase|null}
+     */
+    createKnowledgeBase() {
+        if (process.env.KNOWLEDGE_BASE === 'false') {
+            return null;
+        }
+
+        const filePath = process.env.SESSION_STORE === 'memory' ?
+            null :
+            path.resolve(__dirname, process.env.KNOWLEDGE_PATH || 'data/knowledge.json');
+
+        return new KnowledgeBase({
+            filePath,
+            directory: process.env.KNOWLEDGE_DIR ? path.resolve(__dirname, process.env.KNOWLEDGE_DIR) : null,
+            chunkSize: readPositiveCount(process.env, 'KNOWLEDGE_CHUNK_SIZE', 1000),
+            chunkOverlap: readCount(process.env, 'KNOWLEDGE_CHUNK_OVERLAP', 200),
+            topK: readPositiveCount(process.env, 'KNOWLEDGE_TOP_K', 3),
+            minScore: process.env.KNOWLEDGE_MIN_SCORE ? parseFloat(process.env.KNOWLEDGE_MIN_SCORE) : 0.3
+        });
+    }
+
+    /**
+     * Create the tool registry from the TOOLS_CONFIG file
+     * @returns {Promise<ToolRegistry|null>}
+     */
+    async createToolRegistry() {
+        if (!process.env.TOOLS_CONFIG) {
+            return null;
+        }
+
+        const toolRegistry = new ToolRegistry({
+            timeoutMs: readPositiveCount(process.env, 'TOOL_TIMEOUT_MS', 10000)
+        });
+        await toolRegistry.loadConfig(path.resolve(__dirname, process.env.TOOLS_CONFIG));
+
+        return toolRegistry;
+    }
+
+    /**
+     * Create the moderation pipeline from the MODERATION_CONFIG file
+     * @returns {Promise<ModerationPipeline|null>}
+     */
+    async createModerationPipeline() {
+        if (!process.env.MODERATION_CONFIG) {
+            return null;
+        }
+
+        const moderation = new ModerationPipeline([], { metrics: this.metrics });
+        await moderation.loadConfig(path.resolve(__dirname, process.env.MODERATION_CONFIG));
+
+        return moderation;
+    }
+
+    /**
+     * Create the redactor removing personal data from history and logs, unless REDACT_PII is false
+     * @returns {Redactor|null}
+     */
+    createRedactor() {
+        const { enabled, ...options } = readRedactionConfig(process.env);
+
+        return enabled ? new Redactor(options) : null;
+    }
+
+    /**
+     * Create the Prometheus metrics unless METRICS is false
+     * @returns {Metrics|null}
+     */
+    createMetrics() {
+        return process.env.METRICS === 'false' ? null : new Metrics();
+    }
+
+    /**
+     * Create the API keys from ADMIN_API_KEYS, CLIENT_API_KEYS and the API_KEYS_FILE file
+     * @returns {Promise<ApiKeyStore>}
+     */
+    async createApiKeyStore() {
+        const readKeys = value => (value || '').split(',').map(key => key.trim()).filter(Boolean);
+        const apiKeys = new ApiKeyStore({
+            adminKeys: readKeys(process.env.ADMIN_API_KEYS),
+            clientKeys: readKeys(process.env.CLIENT_API_KEYS),
+            filePath: process.env.API_KEYS_FILE ? path.resolve(__dirname, process.env.API_KEYS_FILE) : null
+        });
+        await apiKeys.initialize();
+
+        return apiKeys;
+    }
+
     /**
      * Setup Express application
      */
     setupExpress() {
-        console.log('[Server] Setting up Express application...');
+        log.info('Setting up Express application');
 
         // Setup middleware
-        setupMiddleware(this.app);
+        setupMiddleware(this.app, { apiKeys: this.apiKeys, metrics: this.metrics });
 
         // Setup chat routes
         if (this.aiInstance) {
-            const chatRoutes = createChatRoutes(this.aiInstance);
+            // Shared so completions and chat messages count against the same limits
+            const rateLimits = createRateLimits(readRateLimitConfig(process.env));
+
+            const chatRoutes = createChatRoutes(this.aiInstance, { rateLimits, metrics: this.metrics });
             this.app.use('/api/chat', chatRoutes);
+
+            if (this.aiInstance.personaManager) {
+                this.app.use('/api/chat/personas', createPersonaRoutes(this.aiInstance.personaManager));
+            }
+
+            if (this.aiInstance.knowledgeBase) {
+                this.app.use('/api/chat/knowledge', createKnowledgeRoutes(this.aiInstance.knowledgeBase));
+            }
+
+            // OpenAI-compatible API for tools speaking the OpenAI chat format
+            this.app.use('/v1', createOpenAIRoutes(this.aiInstance, { rateLimits, metrics: this.metrics }));
+        }
+
+        if (this.metrics) {
+            this.app.use('/metrics', createMetricsRoutes(this.metrics));
         }
 
         // Root endpoint
@@ -72,7 +268,10 @@ class OpenAuxiliumServer {
                     health: '/health',
                     chat: '/api/chat',
                     sessions: '/api/chat/sessions',
-                    status: '/api/chat/status'
+                    status: '/api/chat/status',
+                    personas: '/api/chat/personas',
+                    openai: '/v1/chat/completions',
+                    ...(this.metrics && { metrics: '/metrics' })
                 }
             });
         });
@@ -80,7 +279,7 @@ class OpenAuxiliumServer {
         // Setup error handling
         setupErrorHandling(this.app);
 
-        console.log('[Server] Express application configured');
+        log.info('Express application configured');
     }
 
     /**
@@ -88,19 +287,28 @@ class OpenAuxiliumServer {
      */
     async start() {
         try {
-            console.log('[Server] Starting OpenAuxilium Server...');
+            // Before anything logs a message
+            logger.configure(readLogConfig(process.env));
+            this.redactor = this.createRedactor();
+            if (this.redactor) {
+                redactConsole(this.redactor);
+            }
+
+            log.info('Starting OpenAuxilium Server');
 
             // Initialize AI first
+            this.metrics = this.createMetrics();
             await this.initializeAI();
+            this.apiKeys = await this.createApiKeyStore();
 
             // Setup Express
             this.setupExpress();
 
             // Start HTTP server
             this.server = this.app.listen(this.port, () => {
-                console.log(`[Server] Server running on port ${this.port}`);
-                console.log(`[Server] Health check: http://localhost:${this.port}/health`);
-                console.log(`[Server] API status: http://localhost:${this.port}/api/chat/status`);
+                log.info('Server running', { port: this.port });
+                log.info('Health check', { url: `http://localhost:${this.port}/health` });
+                log.info('API status', { url: `http://localhost:${this.port}/api/chat/status` });
             });
 
             // Setup cleanup interval for inactive sessions
@@ -110,7 +318,7 @@ class OpenAuxiliumServer {
             this.setupGracefulShutdown();
 
         } catch (error) {
-            console.error('[Server] Failed to start server:', error);
+            log.error('Failed to start server', { error });
             process.exit(1);
         }
     }
@@ -127,15 +335,15 @@ class OpenAuxiliumServer {
                 try {
                     const cleaned = await this.aiInstance.cleanupInactiveSessions(maxSessionAge);
                     if (cleaned > 0) {
-                        console.log(`[Server] Cleaned up ${cleaned} inactive sessions`);
+                        log.info('Cleaned up inactive sessions', { count: cleaned });
                     }
                 } catch (error) {
-                    console.error('[Server] Error during session cleanup:', error);
+                    log.error('Error during session cleanup', { error });
                 }
             }
         }, cleanupInterval * 60 * 1000);
 
-        console.log(`[Server] Cleanup interval set to ${cleanupInterval} minutes`);
+        log.info('Cleanup interval set', { minutes: Number(cleanupInterval) });
     }
 
     /**
@@ -145,13 +353,13 @@ class OpenAuxiliumServer {
         const shutdown = async (signal) => {
             if (this.isShuttingDown) return;
 
-            console.log(`[Server] Received ${signal}, shutting down gracefully...`);
+            log.info('Shutting down gracefully', { signal });
             this.isShuttingDown = true;
 
             // Close HTTP server
             if (this.server) {
                 this.server.close(() => {
-                    console.log('[Server] HTTP server closed');
+                    log.info('HTTP server closed');
                 });
             }
 
@@ -159,13 +367,13 @@ class OpenAuxiliumServer {
             if (this.aiInstance) {
                 try {
                     await this.aiInstance.cleanup();
-                    console.log('[Server] AI resources cleaned up');
+                    log.info('AI resources cleaned up');
                 } catch (error) {
-                    console.error('[Server] Error cleaning up AI resources:', error);
+                    log.error('Error cleaning up AI resources', { error });
                 }
             }
 
-            console.log('[Server] Shutdown complete');
+            log.info('Shutdown complete');
             process.exit(0);
         };
 
@@ -174,12 +382,12 @@ class OpenAuxiliumServer {
 
         // Handle uncaught exceptions
         process.on('uncaughtException', (error) => {
-            console.error('[Server] Uncaught exception:', error);
+            log.error('Uncaught exception', { error });
             shutdown('uncaughtException');
         });
 
-        process.on('unhandledRejection', (reason, promise) => {
-            console.error('[Server] Unhandled rejection at:', promise, 'reason:', reason);
+        process.on('unhandledRejection', (reason) => {
+            log.error('Unhandled rejection', { error: reason });
             shutdown('unhandledRejection');
         });
     }
@@ -188,6 +396,6 @@ class OpenAuxiliumServer {
 // Start the server
 const server = new OpenAuxiliumServer();
 server.start().catch((error) => {
-    console.error('[Server] Failed to start:', error);
+    log.error('Failed to start', { error });
     process.exit(1);
 });
@@ -0,0 +1,320 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { ApiKeyStore } from '../Auth/ApiKeyStore.js';
+import { startTestServer } from './helpers.js';
+
+describe('ApiKeyStore', () => {
+    let directory;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+    });
+
+    after(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('authenticates the admin keys of the environment', async () => {
+        const apiKeys = new ApiKeyStore({ adminKeys: ['first-key', 'second-key'] });
+        await apiKeys.initialize();
+
+        assert.equal(apiKeys.hasKeys, true);
+        assert.deepEqual(await apiKeys.authenticate('second-key'), { name: 'admin-2', role: 'admin' });
+        assert.equal(await apiKeys.authenticate('other-key'), null);
+    });
+
+    it('reloads the key file when it changes and keeps the keys of a broken file', async () => {
+        const filePath = path.join(directory, 'keys.json');
+        const sha256 = crypto.createHash('sha256').update('hashed-key').digest('hex');
+        await fs.writeFile(filePath, JSON.stringify([{ name: 'ops', key: 'old-key' }, { name: 'ci', sha256 }]));
+
+        const apiKeys = new ApiKeyStore({ filePath, reloadIntervalMs: 0 });
+        await apiKeys.initialize();
+
+        assert.deepEqual(await apiKeys.authenticate('old-key'), { name: 'ops', role: 'admin' });
+        assert.deepEqual(await apiKeys.authenticate('hashed-key'), { name: 'ci', role: 'admin' });
+
+        // Rotate the ops key, with a modification time the store can't miss
+        await fs.writeFile(filePath, JSON.stringify([{ name: 'ops', key: 'new-key' }]));
+        await fs.utimes(filePath, new Date(), new Date(Date.now() + 10000));
+
+        assert.equal(await apiKeys.authenticate('old-key'), null);
+        assert.deepEqual(await apiKeys.authenticate('new-key'), { name: 'ops', role: 'admin' });
+
+        await fs.writeFile(filePath, '[{"name": "ops"}]');
+        await fs.utimes(filePath, new Date(), new Date(Date.now() + 20000));
+
+        assert.deepEqual(await apiKeys.authenticate('new-key'), { name: 'ops', role: 'admin' });
+    });
+
+    it('rejects invalid declarations', () => {
+        assert.throws(() => new ApiKeyStore({ adminKeys: [''] }), /needs a key/);
+    });
+});
+
+describe('client keys', () => {
+    let directory;
+    let api;
+    const client = { Authorization: 'Bearer client-key' };
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+        const filePath = path.join(directory, 'keys.json');
+        await fs.writeFile(filePath, JSON.stringify([{ name: 'crm-sync', key: 'client-key', role: 'client' }]));
+
+        const apiKeys = new ApiKeyStore({ adminKeys: ['admin-key'], filePath });
+        await apiKeys.initialize();
+        api = await startTestServer({ apiKeys });
+    });
+
+    after(async () => {
+        await api.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('keeps the sessionless model routes to API clients', async () => {
+        const routes = [
+            ['GET', '/v1/models'],
+            ['POST', '/v1/chat/completions', { messages: [{ role: 'system', content: 'Do my homework.' }, { role: 'user', content: 'Hi' }] }],
+            ['POST', '/api/chat/extract', { text: 'Hi', schema: { type: 'object' } }]
+        ];
+
+        api.ai.responses = ['{}'];
+
+        for (const [method, route, body] of routes) {
+            const anonymous = await api.request(method, route, body);
+            assert.equal(anonymous.status, 401, `${method} ${route}`);
+
+            const keyed = await api.request(method, route, body, client);
+            assert.equal(keyed.status, 200, `${method} ${route}`);
+        }
+
+        const openaiError = await api.request('GET', '/v1/models');
+        assert.match(openaiError.body.error.message, /requires a client API key/);
+    });
+
+    it('denies client keys the admin routes', async () => {
+        const { status, body } = await api.request('GET', '/api/chat/system-role', undefined, client);
+
+        assert.equal(status, 403);
+        assert.equal(body.error, 'This route requires the admin role');
+    });
+});
+
+describe('route roles', () => {
+    let api;
+    const admin = { Authorization: 'Bearer admin-key' };
+
+    before(async () => {
+        api = await startTestServer({ apiKeys: new ApiKeyStore({ adminKeys: ['admin-key'] }) });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('keeps the widget routes public', async () => {
+        const { status, body: session } = await api.request('POST', '/api/chat/sessions', {});
+        assert.equal(status, 201);
+
+        const message = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' },
+            { 'X-Session-Token': session.sessionToken });
+        assert.equal(message.status, 200);
+
+        const persona = await api.request('GET', '/api/chat/personas/default');
+        assert.equal(persona.status, 200);
+        assert.deepEqual(Object.keys(persona.body.persona), ['id', 'name', 'welcomeMessage']);
+    });
+
+    it('only shows the queue in the public status', async () => {
+        const { status, body } = await api.request('GET', '/api/chat/status');
+
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body.status), ['queueLength', 'isProcessing', 'activeGenerations', 'maxParallelGenerations']);
+
+        const full = await api.request('GET', '/api/chat/status', undefined, admin);
+        assert.ok(Array.isArray(full.body.status.activeSessions));
+        assert.ok(full.body.status.usage);
+    });
+
+    it('requires an admin key on the admin routes', async () => {
+        const routes = [
+            ['PUT', '/api/chat/system-role', { systemRole: 'Be evil.' }],
+            ['GET', '/api/chat/system-role'],
+            ['POST', '/api/chat/cleanup', {}],
+            ['GET', '/api/chat/tools'],
+            ['GET', '/api/chat/personas'],
+            ['POST', '/api/chat/personas', { id: 'evil', systemPrompt: 'Be evil.' }],
+            ['DELETE', '/api/chat/personas/default']
+        ];
+
+        for (const [method, route, body] of routes) {
+            const { status, body: error } = await api.request(method, route, body);
+            assert.equal(status, 401, `${method} ${route}`);
+            assert.match(error.error, /requires an admin API key/);
+        }
+
+        assert.equal(api.ai.getSystemRole(), 'You are a helpful assistant.');
+    });
+
+    it('accepts the admin key as a bearer token or an X-API-Key header', async () => {
+        const bearer = await api.request('GET', '/api/chat/system-role', undefined, admin);
+        assert.equal(bearer.status, 200);
+
+        const header = await api.request('POST', '/api/chat/cleanup', {}, { 'X-API-Key': 'admin-key' });
+        assert.equal(header.status, 200);
+
+        const invalid = await api.request('GET', '/api/chat/status', undefined, { Authorization: 'Bearer wrong-key' });
+        assert.equal(invalid.status, 401);
+        assert.equal(invalid.body.error, 'Invalid API key');
+    });
+});
+
+describe('session tokens', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ apiKeys: new ApiKeyStore({ adminKeys: ['admin-key'] }) });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('requires the token of the session on every session route', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { sessionId, sessionToken } = session;
+        assert.match(sessionToken, /^[A-Za-z0-9_-]{43}$/);
+
+        const routes = [
+            ['POST', `/api/chat/sessions/${sessionId}/messages`, { message: 'Hi' }],
+            ['POST', `/api/chat/sessions/${sessionId}/messages/stream`, { message: 'Hi' }],
+            ['DELETE', `/api/chat/sessions/${sessionId}/messages/pending`],
+            ['POST', `/api/chat/sessions/${sessionId}/actions/some-call`, { result: 1 }],
+            ['GET', `/api/chat/sessions/${sessionId}/history`],
+            ['DELETE', `/api/chat/sessions/${sessionId}`]
+        ];
+
+        for (const [method, route, body] of routes) {
+            const missing = await api.request(method, route, body, { 'X-Session-Token': null });
+            assert.equal(missing.status, 401, `${method} ${route}`);
+
+            // A wrong token looks like an unknown session
+            const wrong = await api.request(method, route, body, { 'X-Session-Token': 'stolen' });
+            assert.equal(wrong.status, 404, `${method} ${route}`);
+            assert.equal(wrong.body.error, `Session ${sessionId} not found`);
+        }
+
+        const history = await api.request('GET', `/api/chat/sessions/${sessionId}/history`, undefined,
+            { 'X-Session-Token': sessionToken });
+        assert.equal(history.status, 200);
+
+        const otherSession = await api.request('POST', '/api/chat/sessions', {});
+        const crossed = await api.request('GET', `/api/chat/sessions/${sessionId}/history`, undefined,
+            { 'X-Session-Token': otherSession.body.sessionToken });
+        assert.equal(crossed.status, 404);
+
+        const deleted = await api.request('DELETE', `/api/chat/sessions/${sessionId}`, undefined,
+            { 'X-Session-Token': sessionToken });
+        assert.equal(deleted.status, 200);
+    });
+
+    it('lets admins reach every session and choose session IDs', async () => {
+        const admin = { Authorization: 'Bearer admin-key' };
+
+        const chosen = await api.request('POST', '/api/chat/sessions', { sessionId: 'support-ticket-42' }, admin);
+        assert.equal(chosen.status, 201);
+        assert.equal(chosen.body.sessionId, 'support-ticket-42');
+
+        const history = await api.request('GET', '/api/chat/sessions/support-ticket-42/history', undefined, admin);
+        assert.equal(history.status, 200);
+
+        const invalid = await api.request('POST', '/api/chat/sessions', { sessionId: '../../etc' }, admin);
+        assert.equal(invalid.status, 400);
+    });
+
+    it('doesn\'t let visitors choose session IDs', async () => {
+        const { status, body } = await api.request('POST', '/api/chat/sessions', { sessionId: 'guessable-id' });
+
+        assert.equal(status, 403);
+        assert.match(body.error, /admin API key/);
+    });
+
+    it('keeps the token hash across restarts, never the token', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const [stored] = (await api.ai.sessionStore.loadAll()).filter(data => data.id === session.sessionId);
+
+        assert.match(stored.tokenHash, /^[0-9a-f]{64}$/);
+        assert.ok(!JSON.stringify(stored).includes(session.sessionToken));
+    });
+});
+
+describe('route roles without keys', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ apiKeys: new ApiKeyStore(), localAdmin: false });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('refuses admin routes, even to local requests', async () => {
+        const local = await api.request('GET', '/api/chat/system-role');
+        assert.equal(local.status, 401);
+
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const history = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`, undefined,
+            { 'X-Session-Token': null });
+        assert.equal(history.status, 401);
+    });
+
+    it('refuses the sessionless model routes', async () => {
+        const models = await api.request('GET', '/v1/models');
+        assert.equal(models.status, 401);
+
+        const completion = await api.request('POST', '/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] });
+        assert.equal(completion.status, 401);
+
+        const extraction = await api.request('POST', '/api/chat/extract', { text: 'Hi', schema: { type: 'object' } });
+        assert.equal(extraction.status, 401);
+    });
+});
+
+describe('route roles without keys and with local admins', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ apiKeys: new ApiKeyStore(), localAdmin: true });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('lets local requests in as admin, unless forwarded by a proxy', async () => {
+        const local = await api.request('GET', '/api/chat/system-role');
+        assert.equal(local.status, 200);
+
+        const proxied = await api.request('GET', '/api/chat/system-role', undefined, { 'X-Forwarded-For': '203.0.113.7' });
+        assert.equal(proxied.status, 401);
+    });
+
+    it('asks callers forwarded by a proxy for the session token', async () => {
+        const proxied = { 'X-Forwarded-For': '203.0.113.7' };
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {}, proxied);
+        const route = `/api/chat/sessions/${session.sessionId}/history`;
+
+        const missing = await api.request('GET', route, undefined, { ...proxied, 'X-Session-Token': null });
+        assert.equal(missing.status, 401);
+
+        const history = await api.request('GET', route, undefined, proxied);
+        assert.equal(history.status, 200);
+    });
+});
@@ -0,0 +1,345 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRateLimits, readRateLimitConfig } from '../API/rateLimit.js';
+import { startTestServer, parseEvents, ADMIN_HEADERS } from './helpers.js';
+
+describe('chat routes', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    describe('POST /api/chat/sessions', () => {
+        it('creates a session with a generated ID', async () => {
+            const { status, body } = await api.request('POST', '/api/chat/sessions', {});
+
+            assert.equal(status, 201);
+            assert.equal(body.success, true);
+            assert.match(body.sessionId, /^[0-9a-f-]{36}$/);
+        });
+
+        it('creates a session with the requested ID', async () => {
+            const { status, body } = await api.request('POST', '/api/chat/sessions', { sessionId: 'custom-id' }, ADMIN_HEADERS);
+
+            assert.equal(status, 201);
+            assert.equal(body.sessionId, 'custom-id');
+        });
+
+        it('rejects a duplicate session ID', async () => {
+            await api.request('POST', '/api/chat/sessions', { sessionId: 'duplicate' }, ADMIN_HEADERS);
+            const { status, body } = await api.request('POST', '/api/chat/sessions', { sessionId: 'duplicate' }, ADMIN_HEADERS);
+
+            assert.equal(status, 400);
+            assert.equal(body.success, false);
+            assert.match(body.error, /already exists/);
+        });
+    });
+
+    describe('POST /api/chat/sessions/:sessionId/messages', () => {
+        it('returns the generated response', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+                message: 'Hello there'
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+            assert.equal(body.response, 'Echo: Hello there');
+            assert.equal(body.sessionId, session.sessionId);
+            assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+        });
+
+        it('rejects a missing or non-string message', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+            for (const payload of [{}, { message: '' }, { message: 42 }]) {
+                const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, payload);
+                assert.equal(status, 400);
+                assert.equal(body.error, 'Message is required and must be a string');
+            }
+        });
+
+        it('answers 404 for an unknown session', async () => {
+            // Public callers get a 401 without a token, the route's own answer is checked as an admin
+            const { status, body } = await api.request('POST', '/api/chat/sessions/missing/messages', { message: 'Hi' },
+                ADMIN_HEADERS);
+
+            assert.equal(status, 404);
+            assert.match(body.error, /not found/);
+        });
+    });
+
+    describe('POST /api/chat/sessions/:sessionId/messages/stream', () => {
+        it('streams chunks followed by the final response', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const response = await fetch(`${api.baseUrl}/api/chat/sessions/${session.sessionId}/messages/stream`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(session.sessionId) },
+                body: JSON.stringify({ message: 'one two three' })
+            });
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+            const events = parseEvents(await response.text());
+            const chunks = events.filter(({ event }) => event === 'chunk').map(({ data }) => data.text);
+            const done = events[events.length - 1];
+
+            assert.equal(chunks.join(''), 'Echo: one two three');
+            assert.equal(done.event, 'done');
+            assert.equal(done.data.response, 'Echo: one two three');
+        });
+
+        it('answers JSON errors before the stream starts', async () => {
+            const missing = await api.request('POST', '/api/chat/sessions/missing/messages/stream', { message: 'Hi' },
+                ADMIN_HEADERS);
+            assert.equal(missing.status, 404);
+
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const invalid = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages/stream`, {});
+            assert.equal(invalid.status, 400);
+        });
+    });
+
+    describe('GET /api/chat/sessions/:sessionId/history', () => {
+        it('returns the conversation in order', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'First' });
+            await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Second' });
+
+            const { status, body } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+
+            assert.equal(status, 200);
+            assert.equal(body.messageCount, 4);
+            assert.deepEqual(body.history.map(({ role, content }) => [role, content]), [
+                ['user', 'First'],
+                ['assistant', 'Echo: First'],
+                ['user', 'Second'],
+                ['assistant', 'Echo: Second']
+            ]);
+        });
+
+        it('answers 404 for an unknown session', async () => {
+            const { status } = await api.request('GET', '/api/chat/sessions/missing/history', undefined, ADMIN_HEADERS);
+
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('DELETE /api/chat/sessions/:sessionId', () => {
+        it('deletes the session', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const { status, body } = await api.request('DELETE', `/api/chat/sessions/${session.sessionId}`);
+
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+
+            const history = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+            assert.equal(history.status, 404);
+        });
+
+        it('answers 404 for an unknown session', async () => {
+            const { status } = await api.request('DELETE', '/api/chat/sessions/missing', undefined, ADMIN_HEADERS);
+
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('GET /api/chat/status', () => {
+        it('reports the queue and active sessions', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const { status, body } = await api.request('GET', '/api/chat/status', undefined, ADMIN_HEADERS);
+
+            assert.equal(status, 200);
+            assert.equal(body.status.queueLength, 0);
+            assert.equal(body.status.maxParallelGenerations, 1);
+            assert.ok(body.status.activeSessions.some(({ id }) => id === session.sessionId));
+        });
+    });
+
+    describe('POST /api/chat/cleanup', () => {
+        it('keeps recent sessions by default', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const { status, body } = await api.request('POST', '/api/chat/cleanup', {}, ADMIN_HEADERS);
+
+            assert.equal(status, 200);
+            assert.equal(body.cleanedSessions, 0);
+
+            const history = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+            assert.equal(history.status, 200);
+        });
+
+        it('removes sessions older than maxAgeMinutes', async () => {
+            const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+            const { body } = await api.request('POST', '/api/chat/cleanup', { maxAgeMinutes: -1 }, ADMIN_HEADERS);
+
+            assert.ok(body.cleanedSessions >= 1);
+
+            const history = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+            assert.equal(history.status, 404);
+        });
+    });
+
+    describe('/api/chat/system-role', () => {
+        it('updates and returns the system role', async () => {
+            const update = await api.request('PUT', '/api/chat/system-role', { systemRole: 'You are a test assistant.' }, ADMIN_HEADERS);
+            assert.equal(update.status, 200);
+            assert.equal(update.body.systemRole, 'You are a test assistant.');
+
+            const { status, body } = await api.request('GET', '/api/chat/system-role', undefined, ADMIN_HEADERS);
+            assert.equal(status, 200);
+            assert.equal(body.systemRole, 'You are a test assistant.');
+        });
+
+        it('rejects a missing or non-string system role', async () => {
+            for (const payload of [{}, { systemRole: '' }, { systemRole: ['a'] }]) {
+                const { status, body } = await api.request('PUT', '/api/chat/system-role', payload, ADMIN_HEADERS);
+                assert.equal(status, 400);
+                assert.equal(body.error, 'systemRole is required and must be a string');
+            }
+        });
+    });
+
+    it('answers 404 for unknown routes', async () => {
+        const { status, body } = await api.request('GET', '/api/chat/unknown');
+
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Route GET /api/chat/unknown not found');
+    });
+});
+
+describe('chat routes for public callers', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({
+            rateLimits: createRateLimits(readRateLimitConfig({ MAX_MESSAGE_LENGTH: '20' }))
+        });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    /**
+     * Create a session as a public caller
+     * @returns {Promise<{sessionId: string, headers: Object}>} - Session ID and the headers carrying its token
+     */
+    const createSession = async () => {
+        const { body } = await api.request('POST', '/api/chat/sessions', {});
+        return { sessionId: body.sessionId, headers: { 'X-Session-Token': body.sessionToken } };
+    };
+
+    it('chats with the token of the session', async () => {
+        const { sessionId, headers } = await createSession();
+
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`,
+            { message: 'Hello there' }, headers);
+        assert.equal(status, 200);
+        assert.equal(body.response, 'Echo: Hello there');
+
+        const history = await api.request('GET', `/api/chat/sessions/${sessionId}/history`, undefined, headers);
+        assert.equal(history.status, 200);
+        assert.equal(history.body.history.length, 2);
+    });
+
+    it('answers 401 without the session token and 404 with a wrong one', async () => {
+        const { sessionId } = await createSession();
+        const route = `/api/chat/sessions/${sessionId}/messages`;
+
+        const missing = await api.request('POST', route, { message: 'Hi' }, { 'X-Session-Token': null });
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.error, 'The X-Session-Token header is required');
+
+        const wrong = await api.request('POST', route, { message: 'Hi' }, { 'X-Session-Token': 'guessed' });
+        assert.equal(wrong.status, 404);
+        assert.equal(wrong.body.error, `Session ${sessionId} not found`);
+    });
+
+    it('rejects messages longer than the limit, streamed or not', async () => {
+        const { sessionId, headers } = await createSession();
+        const message = 'x'.repeat(21);
+
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`, { message }, headers);
+        assert.equal(status, 413);
+        assert.equal(body.error, 'Message must be at most 20 characters');
+
+        const streamed = await api.request('POST', `/api/chat/sessions/${sessionId}/messages/stream`, { message }, headers);
+        assert.equal(streamed.status, 413);
+    });
+
+    it('refuses the admin routes', async () => {
+        const routes = [
+            ['POST', '/api/chat/cleanup', {}],
+            ['GET', '/api/chat/system-role'],
+            ['PUT', '/api/chat/system-role', { systemRole: 'Be rude.' }],
+            ['GET', '/api/chat/tools']
+        ];
+
+        for (const [method, route, body] of routes) {
+            const { status } = await api.request(method, route, body);
+            assert.equal(status, 401, `${method} ${route}`);
+        }
+    });
+});
+
+describe('chat routes with a slow backend', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ responses: ['one two three four five six'], latencyMs: 50 });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('cancels an in-flight message and keeps the partial response', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const pending = api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' });
+
+        await new Promise(resolve => setTimeout(resolve, 120));
+        const cancel = await api.request('DELETE', `/api/chat/sessions/${session.sessionId}/messages/pending`);
+        const { status, body } = await pending;
+
+        assert.equal(cancel.status, 200);
+        assert.equal(cancel.body.cancelledMessages, 1);
+        assert.equal(status, 409);
+        assert.equal(body.cancelled, true);
+        assert.ok('one two three four five six'.startsWith(body.response));
+        assert.notEqual(body.response, 'one two three four five six');
+    });
+
+    it('answers 404 when cancelling messages of an unknown session', async () => {
+        const { status } = await api.request('DELETE', '/api/chat/sessions/missing/messages/pending', undefined, ADMIN_HEADERS);
+
+        assert.equal(status, 404);
+    });
+});
+
+describe('chat routes with a failing backend', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ failEvery: 1 });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('answers 500 when the generation fails', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' });
+
+        assert.equal(status, 500);
+        assert.equal(body.success, false);
+        assert.match(body.error, /Mock generation failure/);
+    });
+});
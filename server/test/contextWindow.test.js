@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readContextConfig, findTurnStarts } from '../AI/contextWindow.js';
+import { PersonaManager } from '../Persona/PersonaManager.js';
+import { startTestServer } from './helpers.js';
+
+// 40 characters, 10 estimated tokens, echoed back as a 12-token answer
+const MESSAGE = 'x'.repeat(40);
+
+/**
+ * Start a server whose sessions compact their history past 100 tokens
+ * @param {string} strategy - Compaction strategy
+ * @returns {Promise<Object>} - Test server
+ */
+function startCompactingServer(strategy) {
+    return startTestServer({
+        personaManager: new PersonaManager({ defaultSystemPrompt: 'Be brief.' }),
+        contextConfig: { strategy, maxTokens: 200, compactAt: 0.5, keepTurns: 1 }
+    });
+}
+
+/**
+ * Create a session and send it messages one after the other
+ * @param {Object} api - Test server
+ * @param {number} count - Number of messages
+ * @returns {Promise<string>} - Session ID
+ */
+async function chat(api, count) {
+    const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+    for (let i = 0; i < count; i++) {
+        const { status } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: MESSAGE });
+        assert.equal(status, 200);
+    }
+
+    return session.sessionId;
+}
+
+describe('context window settings', () => {
+    it('reads the settings from the environment', () => {
+        assert.deepEqual(readContextConfig({}), { strategy: 'summarize', maxTokens: null, compactAt: 0.75, keepTurns: 4 });
+        assert.deepEqual(readContextConfig({
+            CONTEXT_STRATEGY: 'truncate',
+            CONTEXT_MAX_TOKENS: '2048',
+            CONTEXT_COMPACT_AT: '0.5',
+            CONTEXT_KEEP_TURNS: '0'
+        }), { strategy: 'truncate', maxTokens: 2048, compactAt: 0.5, keepTurns: 0 });
+
+        assert.throws(() => readContextConfig({ CONTEXT_STRATEGY: 'forget' }), /CONTEXT_STRATEGY/);
+        assert.throws(() => readContextConfig({ CONTEXT_COMPACT_AT: '1.5' }), /CONTEXT_COMPACT_AT/);
+    });
+
+    it('finds the user messages starting each turn', () => {
+        const history = [
+            { role: 'user' }, { role: 'assistant' },
+            { role: 'user' }, { role: 'tool' }, { role: 'assistant' },
+            { role: 'user' }, { role: 'assistant' }
+        ];
+
+        assert.deepEqual(findTurnStarts(history, 0), [0, 2, 5]);
+        assert.deepEqual(findTurnStarts(history, 1), [2, 5]);
+    });
+});
+
+describe('context compaction by truncation', () => {
+    let api;
+
+    before(async () => {
+        api = await startCompactingServer('truncate');
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('leaves the history alone below the threshold', async () => {
+        const sessionId = await chat(api, 4);
+        const sessionData = api.ai.sessions.get(sessionId);
+
+        assert.deepEqual(sessionData.context, { summary: null, start: 0 });
+        assert.deepEqual(sessionData.history.map(entry => entry.tokens), [10, 12, 10, 12, 10, 12, 10, 12]);
+    });
+
+    it('drops the older turns from what the model sees and keeps the transcript', async () => {
+        const sessionId = await chat(api, 5);
+        const sessionData = api.ai.sessions.get(sessionId);
+
+        assert.deepEqual(sessionData.context, { summary: null, start: 6 });
+        assert.equal(sessionData.history.length, 10);
+
+        const messages = api.ai._getContextMessages(sessionData);
+        assert.deepEqual(messages.map(({ role }) => role), ['system', 'user', 'assistant', 'user', 'assistant']);
+        assert.equal(messages[0].content, 'Be brief.');
+
+        const { body } = await api.request('GET', `/api/chat/sessions/${sessionId}/history`);
+        assert.equal(body.history.length, 10);
+
+        const [stored] = (await api.ai.sessionStore.loadAll()).filter(data => data.id === sessionId);
+        assert.deepEqual(stored.context, { summary: null, start: 6 });
+    });
+
+    it('rejects a message that cannot fit the context with 413', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'x'.repeat(1000)
+        });
+
+        assert.equal(status, 413);
+        assert.match(body.error, /more than the 200 tokens of the context/);
+        assert.equal(api.ai.sessions.get(session.sessionId).history.length, 0);
+    });
+});
+
+describe('context compaction by summarization', () => {
+    let api;
+
+    before(async () => {
+        api = await startCompactingServer('summarize');
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('replaces the older turns with a summary in the system prompt', async () => {
+        const sessionId = await chat(api, 5);
+        const sessionData = api.ai.sessions.get(sessionId);
+
+        // The mock echoes the transcript it is asked to summarize, cut at the summary length
+        assert.equal(sessionData.context.start, 6);
+        assert.match(sessionData.context.summary, /^Echo: User: x+\sAssistant: Echo: x+/);
+        assert.equal(sessionData.history.length, 10);
+
+        const [system] = api.ai._getContextMessages(sessionData);
+        assert.equal(system.content, `Be brief.\n\nSummary of the earlier conversation:\n${sessionData.context.summary}`);
+    });
+
+    it('drops the turns when the summary fails', async () => {
+        const summarize = api.ai._summarize;
+        api.ai._summarize = async () => {
+            throw new Error('Summarizer down');
+        };
+
+        try {
+            const sessionId = await chat(api, 5);
+            assert.deepEqual(api.ai.sessions.get(sessionId).context, { summary: null, start: 6 });
+        } finally {
+            api.ai._summarize = summarize;
+        }
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getDocumentFormat, extractText, extractTitle, chunkText } from '../Knowledge/documents.js';
+
+describe('knowledge documents', () => {
+    it('detects the format from the extension', () => {
+        assert.equal(getDocumentFormat('docs/Guide.MD'), 'markdown');
+        assert.equal(getDocumentFormat('page.htm'), 'html');
+        assert.equal(getDocumentFormat('notes.txt'), 'text');
+        assert.equal(getDocumentFormat('manual.pdf'), null);
+    });
+
+    it('extracts the text of HTML documents', () => {
+        const html = '<html><head><style>p { color: red; }</style></head>' +
+            '<body><h1>Title</h1><p>Fish &amp; chips</p><script>alert(1)</script><p>Second</p></body></html>';
+
+        assert.equal(extractText(html, 'html'), 'Title\n\nFish & chips\n\nSecond');
+    });
+
+    it('keeps the text of Markdown links and images', () => {
+        assert.equal(extractText('See [our FAQ](https://example.com) ![logo](logo.png)', 'markdown'), 'See our FAQ logo');
+    });
+
+    it('reads the title of a document', () => {
+        assert.equal(extractTitle('Intro\n# Main title\n## Sub', 'markdown', 'file.md'), 'Main title');
+        assert.equal(extractTitle('<title>Page &amp; more</title>', 'html', 'page.html'), 'Page & more');
+        assert.equal(extractTitle('Plain text', 'text', 'notes.txt'), 'notes.txt');
+    });
+
+    it('packs paragraphs into chunks with some overlap', () => {
+        const paragraphs = Array.from({ length: 6 }, (_, index) => `Paragraph ${index} ${'word '.repeat(15).trim()}`);
+        const chunks = chunkText(paragraphs.join('\n\n'), { chunkSize: 200, chunkOverlap: 30 });
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.length <= 240));
+
+        for (const paragraph of paragraphs) {
+            assert.ok(chunks.some(chunk => chunk.includes(paragraph)), paragraph);
+        }
+
+        // Each chunk starts with the end of the previous one
+        for (let i = 1; i < chunks.length; i++) {
+            const start = chunks[i].split('\n\n')[0];
+            assert.ok(chunks[i - 1].endsWith(start), `chunk ${i}`);
+        }
+    });
+
+    it('splits paragraphs longer than the chunk size', () => {
+        const chunks = chunkText('word '.repeat(100).trim(), { chunkSize: 50, chunkOverlap: 0 });
+
+        assert.ok(chunks.length >= 10);
+        assert.ok(chunks.every(chunk => chunk.length <= 50));
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateGeneration, resolveGeneration, readGenerationConfig } from '../AI/generation.js';
+import { startTestServer, parseEvents, ADMIN_HEADERS, CLIENT_HEADERS } from './helpers.js';
+
+describe('generation settings', () => {
+    it('validates settings', () => {
+        assert.deepEqual(validateGeneration({ temperature: 0.5, stop: '\nUser:' }), { temperature: 0.5, stop: ['\nUser:'] });
+
+        assert.throws(() => validateGeneration({ temperature: 3 }), { status: 400, message: /generation\.temperature/ });
+        assert.throws(() => validateGeneration({ maxTokens: 1.5 }), { status: 400 });
+        assert.throws(() => validateGeneration({ repeatPenalty: '1.1' }), { status: 400 });
+        assert.throws(() => validateGeneration({ stop: ['a', 'b', 'c', 'd', 'e'] }), { status: 400 });
+        assert.throws(() => validateGeneration({ seed: 1 }), /Unknown generation setting: seed/);
+        assert.throws(() => validateGeneration([]), /must be an object/);
+    });
+
+    it('lets later layers win and clamps to the limits', () => {
+        const resolved = resolveGeneration([
+            { temperature: 0.7, maxTokens: 256, stop: ['END'] },
+            { temperature: 0.2 },
+            { temperature: 1.8, topP: 0.9 }
+        ], { temperature: 1, maxTokens: 128 });
+
+        assert.deepEqual(resolved, { temperature: 1, maxTokens: 128, topP: 0.9, stop: ['END'] });
+    });
+
+    it('reads defaults and limits from the environment', () => {
+        assert.deepEqual(readGenerationConfig({
+            GENERATION_TEMPERATURE: '0.7',
+            GENERATION_REPEAT_PENALTY: '1.1',
+            GENERATION_STOP: '["\\nUser:"]',
+            GENERATION_LIMIT_MAX_TOKENS: '1024'
+        }), {
+            defaults: { temperature: 0.7, repeatPenalty: 1.1, stop: ['\nUser:'] },
+            limits: { maxTokens: 1024 }
+        });
+
+        assert.throws(() => readGenerationConfig({ GENERATION_TOP_P: 'high' }), /GENERATION\.topP/);
+    });
+});
+
+describe('generation settings in requests', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({
+            generationConfig: {
+                defaults: { temperature: 0.7, maxTokens: 50 },
+                limits: { temperature: 1, maxTokens: 4 }
+            }
+        });
+        await api.request('POST', '/api/chat/personas', {
+            id: 'precise',
+            name: 'Precise',
+            systemPrompt: 'Be precise.',
+            generation: { temperature: 0.1, repeatPenalty: 1.2 }
+        }, ADMIN_HEADERS);
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('echoes the defaults clamped by the limits', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'one two three four five'
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.generation, { temperature: 0.7, maxTokens: 4 });
+        assert.equal(body.response, 'Echo: one two three');
+    });
+
+    it('applies the persona settings, then the request overrides', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', { persona: 'precise' });
+
+        const personaOnly = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' });
+        assert.deepEqual(personaOnly.body.generation, { temperature: 0.1, maxTokens: 4, repeatPenalty: 1.2 });
+
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${session.sessionId}/messages/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(session.sessionId) },
+            body: JSON.stringify({ message: 'Hello world again', generation: { temperature: 1.5, maxTokens: 2, stop: 'world' } })
+        });
+        const done = parseEvents(await response.text()).at(-1);
+
+        assert.deepEqual(done.data.generation, { temperature: 1, maxTokens: 2, repeatPenalty: 1.2, stop: ['world'] });
+        assert.equal(done.data.response, 'Echo: Hello');
+    });
+
+    it('rejects invalid overrides', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'Hi',
+            generation: { topP: 2 }
+        });
+
+        assert.equal(status, 400);
+        assert.match(body.error, /generation\.topP must be a number between 0 and 1/);
+    });
+
+    it('maps the OpenAI parameters', async () => {
+        const { status, body } = await api.request('POST', '/v1/chat/completions', {
+            messages: [{ role: 'user', content: 'a b x y z' }],
+            max_tokens: 4,
+            stop: ['x'],
+            temperature: null
+        }, CLIENT_HEADERS);
+
+        assert.equal(status, 200);
+        assert.equal(body.choices[0].message.content, 'Echo: a b');
+
+        const invalid = await api.request('POST', '/v1/chat/completions', {
+            messages: [{ role: 'user', content: 'Hi' }],
+            temperature: 5
+        }, CLIENT_HEADERS);
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error.param, 'temperature');
+        assert.equal(invalid.body.error.message, 'temperature must be a number between 0 and 2');
+    });
+});
@@ -0,0 +1,129 @@
+import express from 'express';
+
+import { RunAIMock } from '../AI/RunAIMock.js';
+import { ApiKeyStore } from '../Auth/ApiKeyStore.js';
+import { MemorySessionStore } from '../Store/MemorySessionStore.js';
+import { createChatRoutes } from '../API/chatRoutes.js';
+import { createOpenAIRoutes } from '../API/openaiRoutes.js';
+import { createPersonaRoutes } from '../API/personaRoutes.js';
+import { createKnowledgeRoutes } from '../API/knowledgeRoutes.js';
+import { createMetricsRoutes } from '../API/metricsRoutes.js';
+import { setupMiddleware, setupErrorHandling } from '../API/middleware.js';
+import { createRateLimits, readRateLimitConfig } from '../API/rateLimit.js';
+import { logger } from '../Logging/Logger.js';
+
+// Nothing is logged during the tests, LOG_LEVEL=debug npm test shows everything
+logger.configure({ level: process.env.LOG_LEVEL || 'silent' });
+
+// Keys of the default test server, requests are public without them
+export const ADMIN_HEADERS = { Authorization: 'Bearer admin-key' };
+export const CLIENT_HEADERS = { Authorization: 'Bearer client-key' };
+
+const SESSION_PATH_PATTERN = /^\/api\/chat\/sessions\/([^/?]+)/;
+
+/**
+ * Start the API on a random port, wired like server.js, with a mock AI backend.
+ * Requests are public unless they send ADMIN_HEADERS or CLIENT_HEADERS.
+ * @param {Object} [options] - RunAIMock options
+ * @param {ApiKeyStore} [options.apiKeys] - API keys, the admin-key and client-key of ADMIN_HEADERS and
+ *     CLIENT_HEADERS by default
+ * @param {boolean} [options.localAdmin] - Let local requests in as admin while no key is configured,
+ *     like LOCAL_ADMIN=true, off by default
+ * @param {Object} [options.rateLimits] - Abuse limits, the defaults of readRateLimitConfig() by default
+ * @param {Metrics} [options.metrics] - Metrics, recorded and served at /metrics, none by default
+ * @returns {Promise<{ai: RunAIMock, baseUrl: string, request: Function, sessionHeaders: Function, close: Function}>}
+ */
+export async function startTestServer({
+    apiKeys = new ApiKeyStore({ adminKeys: ['admin-key'], clientKeys: ['client-key'] }),
+    localAdmin = false,
+    rateLimits = createRateLimits(readRateLimitConfig({})),
+    metrics = null,
+    ...options
+} = {}) {
+    const ai = new RunAIMock({ sessionStore: new MemorySessionStore(), metrics, ...options });
+    await ai.initialize();
+
+    const app = express();
+    setupMiddleware(app, { apiKeys, metrics, localAdmin });
+    app.use('/api/chat', createChatRoutes(ai, { rateLimits, metrics }));
+    app.use('/api/chat/personas', createPersonaRoutes(ai.personaManager));
+    if (ai.knowledgeBase) {
+        app.use('/api/chat/knowledge', createKnowledgeRoutes(ai.knowledgeBase));
+    }
+    app.use('/v1', createOpenAIRoutes(ai, { rateLimits, metrics }));
+    if (metrics) {
+        app.use('/metrics', createMetricsRoutes(metrics));
+    }
+    setupErrorHandling(app);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Call the API and parse the JSON response
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the server root
+     * @param {Object} [body] - JSON body
+     * @param {Object} [headers] - Extra headers, a null X-Session-Token sends none
+     * @returns {Promise<{status: number, body: Object}>}
+     */
+    const request = async (method, path, body, headers = {}) => {
+        const sessionPath = path.match(SESSION_PATH_PATTERN);
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: Object.fromEntries(Object.entries({
+                'Content-Type': 'application/json',
+                ...(sessionPath && sessionHeaders(decodeURIComponent(sessionPath[1]))),
+                ...headers
+            }).filter(([, value]) => value !== null)),
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+        const json = await response.json();
+
+        if (method === 'POST' && path === '/api/chat/sessions' && json.sessionToken) {
+            sessionTokens.set(json.sessionId, json.sessionToken);
+        }
+
+        return { status: response.status, body: json };
+    };
+
+    // Like the widget, the token of each session created through request() is sent on its routes
+    const sessionTokens = new Map();
+
+    /**
+     * Get the headers authorizing the routes of a session created through request()
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - X-Session-Token header, none for unknown sessions
+     */
+    const sessionHeaders = sessionId => sessionTokens.has(sessionId) ?
+        { 'X-Session-Token': sessionTokens.get(sessionId) } :
+        {};
+
+    const close = async () => {
+        await ai.cleanup();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    };
+
+    return { ai, baseUrl, request, sessionHeaders, close };
+}
+
+/**
+ * Parse the Server-Sent Events of a streamed response
+ * @param {string} text - Raw response body
+ * @returns {Array<{event: string|null, data: Object|string}>} - Non-JSON data such as [DONE] is kept as a string
+ */
+export function parseEvents(text) {
+    return text.split('\n\n')
+        .filter(block => block.trim())
+        .map(block => {
+            const event = block.match(/^event: (.*)$/m);
+            const data = block.match(/^data: (.*)$/m);
+            return {
+                event: event && event[1],
+                data: data && (data[1].startsWith('{') ? JSON.parse(data[1]) : data[1])
+            };
+        });
+}
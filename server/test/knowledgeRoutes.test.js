@@ -0,0 +1,177 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { KnowledgeBase } from '../Knowledge/KnowledgeBase.js';
+import { RunAILlamaCpp } from '../AI/RunAILlamaCpp.js';
+import { startTestServer, parseEvents, ADMIN_HEADERS } from './helpers.js';
+
+const shippingPolicy = {
+    source: 'shipping.md',
+    content: '# Shipping policy\n\nOrders ship within 2 business days. Shipping is free for orders over 50 euros.'
+};
+
+const returnsPolicy = {
+    source: 'returns.html',
+    content: '<html><head><title>Returns</title></head><body><p>Items can be returned within 30 days for a full refund.</p></body></html>'
+};
+
+describe('knowledge routes', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ knowledgeBase: new KnowledgeBase({ minScore: 0.2 }) });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('stores, lists and deletes documents', async () => {
+        const created = await api.request('POST', '/api/chat/knowledge/documents', shippingPolicy, ADMIN_HEADERS);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.document.title, 'Shipping policy');
+        assert.equal(created.body.document.format, 'markdown');
+        assert.equal(created.body.document.chunkCount, 1);
+
+        const list = await api.request('GET', '/api/chat/knowledge/documents', undefined, ADMIN_HEADERS);
+        assert.deepEqual(list.body.documents.map(({ source }) => source), ['shipping.md']);
+
+        const deleted = await api.request('DELETE', `/api/chat/knowledge/documents/${created.body.document.id}`, undefined, ADMIN_HEADERS);
+        assert.equal(deleted.status, 200);
+
+        const missing = await api.request('DELETE', `/api/chat/knowledge/documents/${created.body.document.id}`, undefined, ADMIN_HEADERS);
+        assert.equal(missing.status, 404);
+    });
+
+    it('replaces a document uploaded again with the same source', async () => {
+        const first = await api.request('POST', '/api/chat/knowledge/documents', { source: 'faq.txt', content: 'Old answer.' }, ADMIN_HEADERS);
+        const second = await api.request('POST', '/api/chat/knowledge/documents', { source: 'faq.txt', content: 'New answer.' }, ADMIN_HEADERS);
+
+        assert.equal(first.body.document.id, second.body.document.id);
+
+        const list = await api.request('GET', '/api/chat/knowledge/documents', undefined, ADMIN_HEADERS);
+        assert.equal(list.body.documents.filter(({ source }) => source === 'faq.txt').length, 1);
+
+        await api.request('DELETE', `/api/chat/knowledge/documents/${second.body.document.id}`, undefined, ADMIN_HEADERS);
+    });
+
+    it('rejects invalid documents', async () => {
+        const invalidDocuments = [
+            { content: 'No source' },
+            { source: 'empty.md' },
+            { source: 'data.pdf', content: 'Binary' },
+            { source: 'blank.html', content: '<p> </p>' }
+        ];
+
+        for (const document of invalidDocuments) {
+            const { status } = await api.request('POST', '/api/chat/knowledge/documents', document, ADMIN_HEADERS);
+            assert.equal(status, 400, JSON.stringify(document));
+        }
+    });
+
+    it('grounds answers on the most relevant documents and returns their sources', async () => {
+        await api.request('POST', '/api/chat/knowledge/documents', shippingPolicy, ADMIN_HEADERS);
+        await api.request('POST', '/api/chat/knowledge/documents', returnsPolicy, ADMIN_HEADERS);
+
+        const search = await api.request('POST', '/api/chat/knowledge/search', { query: 'When do orders ship?', topK: 1 }, ADMIN_HEADERS);
+        assert.equal(search.status, 200);
+        assert.deepEqual(search.body.passages.map(({ source }) => source), ['shipping.md']);
+
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'When do orders ship?'
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.sources[0].source, 'shipping.md');
+        assert.equal(body.sources[0].title, 'Shipping policy');
+        // The mock echoes the prompt it received, which includes the passage
+        assert.match(body.response, /Orders ship within 2 business days/);
+
+        const { body: history } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+        assert.equal(history.history[0].content, 'When do orders ship?');
+        assert.deepEqual(history.history[1].sources, body.sources);
+
+        // The turn is budgeted with the passages the model was sent, not only the stored message
+        const [userEntry] = api.ai.sessions.get(session.sessionId).history;
+        assert.ok(userEntry.tokens > api.ai.countTokens(userEntry.content));
+    });
+
+    it('returns the sources with the streamed response', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${session.sessionId}/messages/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(session.sessionId) },
+            body: JSON.stringify({ message: 'Can items be returned for a refund?' })
+        });
+
+        const events = parseEvents(await response.text());
+        const done = events.find(({ event }) => event === 'done');
+
+        assert.equal(done.data.sources[0].source, 'returns.html');
+    });
+
+    it('answers without sources when nothing is relevant', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'Hello'
+        });
+
+        assert.deepEqual(body.sources, []);
+        assert.equal(body.response, 'Echo: Hello');
+    });
+});
+
+describe('knowledge base directory', () => {
+    let directory;
+    let api;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-'));
+        await fs.mkdir(path.join(directory, 'policies'));
+        await fs.writeFile(path.join(directory, 'policies', shippingPolicy.source), shippingPolicy.content);
+        await fs.writeFile(path.join(directory, 'notes.json'), '{}');
+    });
+
+    after(async () => {
+        if (api) {
+            await api.close();
+        }
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('ingests supported documents at startup and persists them', async () => {
+        const filePath = path.join(directory, 'store', 'knowledge.json');
+        api = await startTestServer({ knowledgeBase: new KnowledgeBase({ filePath, directory }) });
+
+        const { body } = await api.request('GET', '/api/chat/knowledge/documents', undefined, ADMIN_HEADERS);
+        assert.deepEqual(body.documents.map(({ source, origin }) => [source, origin]), [['policies/shipping.md', 'directory']]);
+
+        const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        assert.equal(stored.embeddingModel, 'mock');
+        assert.equal(stored.documents[0].chunks.length, 1);
+    });
+});
+
+describe('RunAILlamaCpp embeddings', () => {
+    it('creates the embedding context again after a failed creation', async () => {
+        const ai = new RunAILlamaCpp();
+        let attempts = 0;
+        ai.model = {
+            createEmbeddingContext: async () => {
+                attempts++;
+                if (attempts === 1) {
+                    throw new Error('Out of memory');
+                }
+                return { getEmbeddingFor: async () => ({ vector: new Float32Array([0.5, 0.25]) }) };
+            }
+        };
+
+        await assert.rejects(ai.embed('Shipping'), /Out of memory/);
+        assert.deepEqual(await ai.embed('Shipping'), [0.5, 0.25]);
+        assert.equal(attempts, 2);
+    });
+});
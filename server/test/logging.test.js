@@ -0,0 +1,145 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Logger, logger, readLogConfig, runWithLogContext } from '../Logging/Logger.js';
+import { startTestServer } from './helpers.js';
+
+/**
+ * Collect what the console writes until restored
+ * @returns {{lines: Array<{method: string, line: string}>, restore: Function}}
+ */
+function captureConsole() {
+    const lines = [];
+    const original = { log: console.log, warn: console.warn, error: console.error };
+
+    for (const method of Object.keys(original)) {
+        console[method] = line => lines.push({ method, line });
+    }
+
+    return { lines, restore: () => Object.assign(console, original) };
+}
+
+describe('Logger', () => {
+    let capture;
+
+    afterEach(() => {
+        capture.restore();
+    });
+
+    it('writes text lines at or above its level, warnings and errors to stderr', () => {
+        capture = captureConsole();
+        const log = new Logger({ level: 'info', format: 'text' }).child({ component: 'Test' });
+
+        log.debug('Hidden');
+        log.info('Created session', { sessionId: 'abc', persona: 'Support team' });
+        log.warn('Slow');
+        log.error('Failed', { error: new Error('Boom') });
+
+        assert.deepEqual(capture.lines.map(({ method }) => method), ['log', 'warn', 'error']);
+        assert.match(capture.lines[0].line, /^\S+Z INFO  \[Test\] Created session sessionId=abc persona="Support team"$/);
+        assert.match(capture.lines[2].line, /\[Test\] Failed\nError: Boom\n/);
+    });
+
+    it('writes one JSON object per line with the context fields', () => {
+        capture = captureConsole();
+        const log = new Logger({ level: 'debug', format: 'json' }).child({ component: 'Test' });
+
+        runWithLogContext({ requestId: 'req-1' }, () => {
+            log.debug('Processing message', { sessionId: 'abc' });
+            log.error('Failed', { error: Object.assign(new Error('Not found'), { status: 404 }) });
+        });
+
+        const [entry, failure] = capture.lines.map(({ line }) => JSON.parse(line));
+        assert.deepEqual({ ...entry, time: undefined }, {
+            time: undefined,
+            level: 'debug',
+            component: 'Test',
+            message: 'Processing message',
+            requestId: 'req-1',
+            sessionId: 'abc'
+        });
+        assert.equal(failure.error.message, 'Not found');
+        assert.equal(failure.error.status, 404);
+    });
+
+    it('shares the settings with its children', () => {
+        capture = captureConsole();
+        const root = new Logger();
+        const child = root.child({ component: 'Test' });
+
+        root.configure({ level: 'error' });
+        child.warn('Hidden');
+
+        assert.equal(capture.lines.length, 0);
+        assert.equal(child.isEnabled('error'), true);
+
+        root.configure({ level: 'silent' });
+        child.error('Hidden');
+
+        assert.equal(capture.lines.length, 0);
+    });
+
+    it('reads the settings from the environment', () => {
+        capture = captureConsole();
+
+        assert.deepEqual(readLogConfig({}), { level: 'info', format: 'text' });
+        assert.deepEqual(readLogConfig({ LOG_LEVEL: 'debug', LOG_FORMAT: 'json' }), { level: 'debug', format: 'json' });
+        assert.throws(() => readLogConfig({ LOG_LEVEL: 'verbose' }), /LOG_LEVEL must be one of/);
+        assert.throws(() => readLogConfig({ LOG_FORMAT: 'xml' }), /LOG_FORMAT must be one of/);
+        assert.throws(() => new Logger().configure({ level: 'trace' }), /Log level must be one of/);
+    });
+});
+
+describe('request IDs', () => {
+    let api;
+    let level;
+    let capture;
+
+    before(async () => {
+        api = await startTestServer();
+        level = logger.settings.level;
+        logger.configure({ level: 'info', format: 'json' });
+    });
+
+    after(async () => {
+        logger.configure({ level, format: 'text' });
+        await api.close();
+    });
+
+    afterEach(() => {
+        capture.restore();
+    });
+
+    it('gives every response an X-Request-Id header, keeping a valid incoming one', async () => {
+        capture = captureConsole();
+
+        const generated = await fetch(`${api.baseUrl}/api/chat/status`);
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const kept = await fetch(`${api.baseUrl}/api/chat/status`, { headers: { 'X-Request-Id': 'edge-42' } });
+        assert.equal(kept.headers.get('x-request-id'), 'edge-42');
+
+        const replaced = await fetch(`${api.baseUrl}/api/chat/status`, { headers: { 'X-Request-Id': 'bad id!' } });
+        assert.notEqual(replaced.headers.get('x-request-id'), 'bad id!');
+    });
+
+    it('logs the request ID of a message through the queue, and the response time', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+        capture = captureConsole();
+        await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hello' },
+            { 'X-Request-Id': 'trace-7', 'X-Session-Token': session.sessionToken });
+        // The request is logged once the response is closed
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const entries = capture.lines.map(({ line }) => JSON.parse(line));
+        const generated = entries.find(entry => entry.message === 'Generated response');
+        assert.equal(generated.requestId, 'trace-7');
+        assert.equal(generated.sessionId, session.sessionId);
+
+        const request = entries.find(entry => entry.component === 'HTTP');
+        assert.equal(request.message, `POST /api/chat/sessions/${session.sessionId}/messages 200`);
+        assert.equal(request.requestId, 'trace-7');
+        assert.equal(typeof request.durationMs, 'number');
+    });
+});
@@ -0,0 +1,159 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Metrics, getErrorType } from '../Metrics/Metrics.js';
+import { ApiKeyStore } from '../Auth/ApiKeyStore.js';
+import { startTestServer, ADMIN_HEADERS } from './helpers.js';
+
+/**
+ * Get the value of a sample of the rendered metrics
+ * @param {string} text - Metrics in the Prometheus text format
+ * @param {string} sample - Metric name and labels, such as openauxilium_errors_total{type="busy"}
+ * @returns {number|undefined} - Undefined when the sample isn't there
+ */
+function sampleValue(text, sample) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+    return line && Number(line.slice(sample.length + 1));
+}
+
+describe('Metrics', () => {
+    it('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const metrics = new Metrics();
+        metrics.observeRequest('GET', '/health', 200, 0.02);
+        metrics.observeRequest('GET', '/health', 200, 0.3);
+        metrics.observeGeneration('sessions', { promptTokens: 40, completionTokens: 12, durationMs: 1500 });
+
+        const text = metrics.render();
+
+        assert.match(text, /^# HELP openauxilium_http_requests_total HTTP requests answered/m);
+        assert.match(text, /^# TYPE openauxilium_http_requests_total counter$/m);
+        assert.equal(sampleValue(text, 'openauxilium_http_requests_total{method="GET",route="/health",status="200"}'), 2);
+        assert.equal(sampleValue(text, 'openauxilium_http_request_duration_seconds_bucket{method="GET",route="/health",le="0.025"}'), 1);
+        assert.equal(sampleValue(text, 'openauxilium_http_request_duration_seconds_bucket{method="GET",route="/health",le="+Inf"}'), 2);
+        assert.equal(sampleValue(text, 'openauxilium_http_request_duration_seconds_count{method="GET",route="/health"}'), 2);
+        assert.equal(sampleValue(text, 'openauxilium_tokens_total{kind="sessions",type="completion"}'), 12);
+        assert.equal(sampleValue(text, 'openauxilium_generation_duration_seconds_sum{kind="sessions"}'), 1.5);
+
+        // Unlabelled metrics show up before anything is recorded
+        assert.equal(sampleValue(text, 'openauxilium_sessions_created_total'), 0);
+        assert.equal(sampleValue(text, 'openauxilium_queue_wait_seconds_count'), 0);
+    });
+
+    it('escapes label values', () => {
+        const metrics = new Metrics();
+        metrics.countError('say "hi"\\\n');
+
+        assert.match(metrics.render(), /^openauxilium_errors_total\{type="say \\"hi\\"\\\\\\n"\} 1$/m);
+    });
+
+    it('reads the queue, sessions and shared contexts at each scrape', () => {
+        const metrics = new Metrics();
+        metrics.observeQueue(() => ({
+            queueLength: 3,
+            maxQueueLength: 100,
+            activeGenerations: 2,
+            maxParallelGenerations: 2,
+            activeSessions: 7,
+            contextPool: { totalSequences: 8, allocatedSequences: 5, sequencesInUse: 2, evictions: 4 }
+        }));
+
+        const text = metrics.render();
+
+        assert.equal(sampleValue(text, 'openauxilium_queue_length'), 3);
+        assert.equal(sampleValue(text, 'openauxilium_active_generations'), 2);
+        assert.equal(sampleValue(text, 'openauxilium_sessions_active'), 7);
+        assert.equal(sampleValue(text, 'openauxilium_context_sequences{state="in_use"}'), 2);
+        assert.equal(sampleValue(text, 'openauxilium_context_evictions_total'), 4);
+    });
+
+    it('names error types from their status', () => {
+        assert.equal(getErrorType(Object.assign(new Error('Cancelled'), { cancelled: true }), 409), 'cancelled');
+        assert.equal(getErrorType(new Error('Busy'), 503), 'busy');
+        assert.equal(getErrorType(new Error('Slow'), 504), 'timeout');
+        assert.equal(getErrorType(new Error('Session abc not found'), 404), 'not_found');
+        assert.equal(getErrorType(new Error('Boom'), 500), 'internal');
+    });
+});
+
+describe('metrics endpoint', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ metrics: new Metrics(), failEvery: 2 });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    /**
+     * Scrape the metrics
+     * @returns {Promise<string>}
+     */
+    const scrape = async () => {
+        const response = await fetch(`${api.baseUrl}/metrics`, { headers: ADMIN_HEADERS });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        return response.text();
+    };
+
+    it('counts requests by route, generations, tokens, sessions and errors', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const messages = `/api/chat/sessions/${session.sessionId}/messages`;
+
+        await api.request('POST', messages, { message: 'Hello there' });
+        // The mock fails every second generation
+        await api.request('POST', messages, { message: 'Again' });
+        await api.request('POST', '/api/chat/sessions/unknown-session/messages', { message: 'Hi' }, ADMIN_HEADERS);
+
+        const text = await scrape();
+
+        assert.equal(sampleValue(text, 'openauxilium_http_requests_total{method="POST",route="/api/chat/sessions",status="201"}'), 1);
+        assert.equal(sampleValue(text,
+            'openauxilium_http_requests_total{method="POST",route="/api/chat/sessions/:sessionId/messages",status="200"}'), 1);
+        assert.equal(sampleValue(text,
+            'openauxilium_http_requests_total{method="POST",route="/api/chat/sessions/:sessionId/messages",status="404"}'), 1);
+        assert.equal(sampleValue(text, 'openauxilium_sessions_created_total'), 1);
+        assert.equal(sampleValue(text, 'openauxilium_sessions_active'), 1);
+        assert.equal(sampleValue(text, 'openauxilium_queue_length'), 0);
+        assert.equal(sampleValue(text, 'openauxilium_queue_wait_seconds_count'), 2);
+        assert.equal(sampleValue(text, 'openauxilium_generation_duration_seconds_count{kind="sessions"}'), 1);
+        assert.ok(sampleValue(text, 'openauxilium_tokens_total{kind="sessions",type="completion"}') > 0);
+        assert.equal(sampleValue(text, 'openauxilium_errors_total{type="internal"}'), 1);
+        assert.equal(sampleValue(text, 'openauxilium_errors_total{type="not_found"}'), 1);
+    });
+
+    it('counts cleaned up sessions and unmatched routes', async () => {
+        await api.ai.cleanupInactiveSessions(-1);
+        await fetch(`${api.baseUrl}/nowhere`);
+
+        const text = await scrape();
+
+        assert.equal(sampleValue(text, 'openauxilium_sessions_cleaned_total'), 1);
+        assert.equal(sampleValue(text, 'openauxilium_sessions_active'), 0);
+        assert.equal(sampleValue(text, 'openauxilium_http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+    });
+});
+
+describe('metrics access', () => {
+    let api;
+
+    before(async () => {
+        const apiKeys = new ApiKeyStore({ adminKeys: ['admin-key'] });
+        await apiKeys.initialize();
+        api = await startTestServer({ apiKeys, metrics: new Metrics() });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('only shows the metrics to admins', async () => {
+        const anonymous = await fetch(`${api.baseUrl}/metrics`);
+        assert.equal(anonymous.status, 401);
+
+        const admin = await fetch(`${api.baseUrl}/metrics`, { headers: { Authorization: 'Bearer admin-key' } });
+        assert.equal(admin.status, 200);
+        assert.match(await admin.text(), /^# TYPE openauxilium_errors_total counter$/m);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, parseEvents, CLIENT_HEADERS } from './helpers.js';
+
+describe('OpenAI-compatible routes', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    describe('GET /v1/models', () => {
+        it('lists the served model', async () => {
+            const { status, body } = await api.request('GET', '/v1/models', undefined, CLIENT_HEADERS);
+
+            assert.equal(status, 200);
+            assert.equal(body.object, 'list');
+            assert.deepEqual(body.data.map(({ id, object }) => [id, object]), [['mock', 'model']]);
+        });
+    });
+
+    describe('POST /v1/chat/completions', () => {
+        it('returns a chat completion', async () => {
+            const { status, body } = await api.request('POST', '/v1/chat/completions', {
+                model: 'anything',
+                messages: [
+                    { role: 'system', content: 'Be brief.' },
+                    { role: 'user', content: 'Hello' },
+                    { role: 'assistant', content: 'Hi!' },
+                    { role: 'user', content: 'How are you?' }
+                ]
+            }, CLIENT_HEADERS);
+
+            assert.equal(status, 200);
+            assert.match(body.id, /^chatcmpl-/);
+            assert.equal(body.object, 'chat.completion');
+            assert.equal(body.model, 'mock');
+            assert.deepEqual(body.choices, [{
+                index: 0,
+                message: { role: 'assistant', content: 'Echo: How are you?' },
+                finish_reason: 'stop'
+            }]);
+        });
+
+        it('streams chunks terminated by [DONE]', async () => {
+            const response = await fetch(`${api.baseUrl}/v1/chat/completions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...CLIENT_HEADERS },
+                body: JSON.stringify({ stream: true, messages: [{ role: 'user', content: 'one two' }] })
+            });
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+            const events = parseEvents(await response.text()).map(({ data }) => data);
+            const chunks = events.slice(0, -1);
+
+            assert.equal(events[events.length - 1], '[DONE]');
+            assert.ok(chunks.every(chunk => chunk.object === 'chat.completion.chunk'));
+            assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant', content: '' });
+            assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'Echo: one two');
+            assert.equal(chunks[chunks.length - 1].choices[0].finish_reason, 'stop');
+        });
+
+        it('does not create sessions', async () => {
+            await api.request('POST', '/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] }, CLIENT_HEADERS);
+
+            assert.equal(api.ai.getActiveSessions().length, 0);
+        });
+
+        it('rejects invalid messages', async () => {
+            const invalidMessages = [
+                undefined,
+                [],
+                [{ role: 'tool', content: 'Hi' }],
+                [{ role: 'user', content: 42 }],
+                [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]
+            ];
+
+            for (const messages of invalidMessages) {
+                const { status, body } = await api.request('POST', '/v1/chat/completions', { messages }, CLIENT_HEADERS);
+                assert.equal(status, 400);
+                assert.equal(body.error.type, 'invalid_request_error');
+                assert.equal(body.error.param, 'messages');
+            }
+        });
+    });
+});
+
+describe('OpenAI-compatible routes with a failing backend', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ failEvery: 1 });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('answers 500 with an OpenAI error body', async () => {
+        const { status, body } = await api.request('POST', '/v1/chat/completions', {
+            messages: [{ role: 'user', content: 'Hi' }]
+        }, CLIENT_HEADERS);
+
+        assert.equal(status, 500);
+        assert.equal(body.error.type, 'server_error');
+        assert.match(body.error.message, /Mock generation failure/);
+    });
+});
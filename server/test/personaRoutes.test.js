@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, ADMIN_HEADERS } from './helpers.js';
+
+const supportPersona = {
+    id: 'support',
+    name: 'Support',
+    systemPrompt: 'You are a support agent.',
+    welcomeMessage: 'Hi! Having trouble with an order?',
+    generation: { temperature: 0.2, maxTokens: 256 }
+};
+
+describe('persona routes', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('always lists the default persona', async () => {
+        const { status, body } = await api.request('GET', '/api/chat/personas', undefined, ADMIN_HEADERS);
+
+        assert.equal(status, 200);
+        assert.ok(body.personas.some(({ id }) => id === 'default'));
+    });
+
+    it('creates, reads, updates and deletes a persona', async () => {
+        const created = await api.request('POST', '/api/chat/personas', supportPersona, ADMIN_HEADERS);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.persona.welcomeMessage, supportPersona.welcomeMessage);
+
+        const read = await api.request('GET', '/api/chat/personas/support', undefined, ADMIN_HEADERS);
+        assert.equal(read.status, 200);
+        assert.deepEqual(read.body.persona.generation, { temperature: 0.2, maxTokens: 256 });
+
+        const updated = await api.request('PUT', '/api/chat/personas/support', { name: 'Customer support' }, ADMIN_HEADERS);
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.persona.name, 'Customer support');
+        assert.equal(updated.body.persona.systemPrompt, supportPersona.systemPrompt);
+
+        const deleted = await api.request('DELETE', '/api/chat/personas/support', undefined, ADMIN_HEADERS);
+        assert.equal(deleted.status, 200);
+
+        const missing = await api.request('GET', '/api/chat/personas/support');
+        assert.equal(missing.status, 404);
+    });
+
+    it('rejects invalid personas', async () => {
+        const invalidPersonas = [
+            { systemPrompt: 'No ID' },
+            { id: 'has spaces', systemPrompt: 'Hi' },
+            { id: 'no-prompt' },
+            { id: 'bad-welcome', systemPrompt: 'Hi', welcomeMessage: 42 },
+            { id: 'bad-setting', systemPrompt: 'Hi', generation: { seed: 1 } },
+            { id: 'bad-range', systemPrompt: 'Hi', generation: { temperature: 5 } }
+        ];
+
+        for (const persona of invalidPersonas) {
+            const { status } = await api.request('POST', '/api/chat/personas', persona, ADMIN_HEADERS);
+            assert.equal(status, 400, JSON.stringify(persona));
+        }
+    });
+
+    it('rejects a duplicate persona ID', async () => {
+        await api.request('POST', '/api/chat/personas', { id: 'twice', systemPrompt: 'Hi' }, ADMIN_HEADERS);
+        const { status } = await api.request('POST', '/api/chat/personas', { id: 'twice', systemPrompt: 'Hi' }, ADMIN_HEADERS);
+
+        assert.equal(status, 409);
+    });
+
+    it('refuses to delete the default persona', async () => {
+        const { status } = await api.request('DELETE', '/api/chat/personas/default', undefined, ADMIN_HEADERS);
+
+        assert.equal(status, 400);
+    });
+
+    it('answers 404 when updating or deleting an unknown persona', async () => {
+        const updated = await api.request('PUT', '/api/chat/personas/missing', { name: 'Missing' }, ADMIN_HEADERS);
+        const deleted = await api.request('DELETE', '/api/chat/personas/missing', undefined, ADMIN_HEADERS);
+
+        assert.equal(updated.status, 404);
+        assert.equal(deleted.status, 404);
+    });
+});
+
+describe('sessions with personas', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+        await api.request('POST', '/api/chat/personas', { ...supportPersona, id: 'sales', systemPrompt: 'You sell things.' }, ADMIN_HEADERS);
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('starts a session with the requested persona', async () => {
+        const { status, body } = await api.request('POST', '/api/chat/sessions', { persona: 'sales' });
+
+        assert.equal(status, 201);
+        assert.equal(body.persona, 'sales');
+        assert.equal(api.ai.sessions.get(body.sessionId).systemPrompt, 'You sell things.');
+
+        const { body: statusBody } = await api.request('GET', '/api/chat/status', undefined, ADMIN_HEADERS);
+        const session = statusBody.status.activeSessions.find(({ id }) => id === body.sessionId);
+        assert.equal(session.persona, 'sales');
+    });
+
+    it('answers 404 for an unknown persona', async () => {
+        const { status, body } = await api.request('POST', '/api/chat/sessions', { persona: 'missing' });
+
+        assert.equal(status, 404);
+        assert.match(body.error, /Persona missing not found/);
+    });
+
+    it('keeps the persona a session started with when it changes', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', { persona: 'sales' });
+        await api.request('PUT', '/api/chat/personas/sales', { systemPrompt: 'You sell other things.' }, ADMIN_HEADERS);
+
+        const sessionData = api.ai.sessions.get(session.sessionId);
+        assert.equal(sessionData.systemPrompt, 'You sell things.');
+
+        const { body: newSession } = await api.request('POST', '/api/chat/sessions', { persona: 'sales' });
+        assert.equal(api.ai.sessions.get(newSession.sessionId).systemPrompt, 'You sell other things.');
+    });
+
+    it('only applies system role changes to new sessions', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const previousPrompt = api.ai.sessions.get(session.sessionId).systemPrompt;
+
+        await api.request('PUT', '/api/chat/system-role', { systemRole: 'You are a new assistant.' }, ADMIN_HEADERS);
+
+        assert.equal(api.ai.sessions.get(session.sessionId).systemPrompt, previousPrompt);
+
+        const { body: newSession } = await api.request('POST', '/api/chat/sessions', {});
+        assert.equal(api.ai.sessions.get(newSession.sessionId).systemPrompt, 'You are a new assistant.');
+
+        const { body: persona } = await api.request('GET', '/api/chat/personas/default', undefined, ADMIN_HEADERS);
+        assert.equal(persona.persona.systemPrompt, 'You are a new assistant.');
+    });
+});
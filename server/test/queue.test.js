@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readQueueConfig } from '../AI/queue.js';
+import { RunAIMock } from '../AI/RunAIMock.js';
+import { startTestServer, parseEvents } from './helpers.js';
+
+// About 300ms per generation: six words, 50ms each
+const SLOW = { responses: ['one two three four five six'], latencyMs: 50 };
+
+describe('queue settings', () => {
+    it('reads the bounds and timeouts from the environment', () => {
+        assert.deepEqual(readQueueConfig({}), { maxLength: 100, maxWaitMs: 60000, generationTimeoutMs: 120000 });
+        assert.equal(readQueueConfig({ GENERATION_TIMEOUT_MS: '0' }).generationTimeoutMs, 0);
+
+        assert.throws(() => readQueueConfig({ QUEUE_MAX_LENGTH: '0' }), /QUEUE_MAX_LENGTH/);
+        assert.throws(() => readQueueConfig({ QUEUE_MAX_WAIT_MS: 'soon' }), /positive integer/);
+    });
+
+    it('reads the parallel generations and refuses 0', () => {
+        try {
+            process.env.AI_PARALLEL_GENERATIONS = '3';
+            assert.equal(new RunAIMock().maxParallelGenerations, 3);
+
+            process.env.AI_PARALLEL_GENERATIONS = '0';
+            assert.throws(() => new RunAIMock(), /AI_PARALLEL_GENERATIONS must be a positive integer$/);
+
+            process.env.AI_PARALLEL_GENERATIONS = '2 slots';
+            assert.throws(() => new RunAIMock(), /AI_PARALLEL_GENERATIONS must be a positive integer or 0/);
+        } finally {
+            delete process.env.AI_PARALLEL_GENERATIONS;
+        }
+    });
+});
+
+describe('generation queue', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({
+            ...SLOW,
+            queueConfig: { maxLength: 2, maxWaitMs: 5000, generationTimeoutMs: 5000 }
+        });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    const createSession = async () => (await api.request('POST', '/api/chat/sessions', {})).body.sessionId;
+
+    it('streams the position of a waiting message', async () => {
+        const [first, second, third] = await Promise.all([createSession(), createSession(), createSession()]);
+
+        const generating = api.ai.sendMessage(first, 'Hi');
+        const waiting = api.ai.sendMessage(second, 'Hi');
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${third}/messages/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(third) },
+            body: JSON.stringify({ message: 'Hi' })
+        });
+        const events = parseEvents(await response.text());
+        await Promise.all([generating, waiting]);
+
+        const positions = events.filter(({ event }) => event === 'queue').map(({ data }) => data.position);
+        assert.deepEqual(positions, [2, 1, 0]);
+        assert.equal(typeof events[0].data.estimatedWaitSeconds, 'number');
+        assert.equal(events[events.length - 1].event, 'done');
+    });
+
+    it('keeps one waiting message per session', async () => {
+        const [first, second] = await Promise.all([createSession(), createSession()]);
+
+        const generating = api.ai.sendMessage(first, 'Hi');
+        const waiting = api.ai.sendMessage(second, 'Hi');
+
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${second}/messages`, { message: 'Again' });
+        assert.equal(status, 409);
+        assert.equal(body.error, `Session ${second} already has a message waiting`);
+
+        await Promise.all([generating, waiting]);
+    });
+
+    it('answers 503 with Retry-After when the queue is full', async () => {
+        const sessions = await Promise.all([createSession(), createSession(), createSession(), createSession()]);
+
+        const accepted = sessions.slice(0, 3).map(sessionId => api.ai.sendMessage(sessionId, 'Hi'));
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${sessions[3]}/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(sessions[3]) },
+            body: JSON.stringify({ message: 'Hi' })
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 503);
+        assert.ok(Number(response.headers.get('Retry-After')) >= 1);
+        assert.equal(body.retryAfter, Number(response.headers.get('Retry-After')));
+
+        await Promise.all(accepted);
+        assert.equal(api.ai.getQueueStatus().queueLength, 0);
+    });
+});
+
+describe('generation queue time limits', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({
+            ...SLOW,
+            queueConfig: { maxLength: 10, maxWaitMs: 100, generationTimeoutMs: 200 }
+        });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('rejects messages waiting longer than the maximum wait', async () => {
+        const { body: first } = await api.request('POST', '/api/chat/sessions', {});
+        const { body: second } = await api.request('POST', '/api/chat/sessions', {});
+
+        const generating = api.ai.sendMessage(first.sessionId, 'Hi').catch(error => error);
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${second.sessionId}/messages`, { message: 'Hi' });
+
+        assert.equal(status, 503);
+        assert.match(body.error, /within 1 seconds/);
+        assert.ok(body.retryAfter >= 1);
+        await generating;
+    });
+
+    it('stops generations running longer than the timeout', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' });
+
+        assert.equal(status, 504);
+        assert.equal(body.error, 'Generation took longer than 1 seconds');
+        assert.equal(api.ai.getQueueStatus().activeGenerations, 0);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RateLimiter, createRateLimits, readRateLimitConfig, limitRate } from '../API/rateLimit.js';
+import { logger } from '../Logging/Logger.js';
+import { ApiKeyStore } from '../Auth/ApiKeyStore.js';
+import { startTestServer } from './helpers.js';
+
+describe('RateLimiter', () => {
+    it('allows the limit per key and window, then tells how long to wait', () => {
+        const limiter = new RateLimiter({ limit: 2, windowMs: 30000 });
+
+        assert.equal(limiter.hit('a'), 0);
+        assert.equal(limiter.hit('a'), 0);
+        assert.equal(limiter.hit('a'), 30);
+        assert.equal(limiter.hit('b'), 0);
+    });
+
+    it('reads the limits from the environment', () => {
+        assert.deepEqual(readRateLimitConfig({}), {
+            messagesPerMinute: 20,
+            sessionMessagesPerMinute: 10,
+            sessionsPerHour: 20,
+            maxMessageLength: 2000
+        });
+
+        const limits = createRateLimits(readRateLimitConfig({ RATE_LIMIT_SESSIONS_PER_HOUR: '0' }));
+        assert.equal(limits.sessions, null);
+
+        assert.throws(() => readRateLimitConfig({ RATE_LIMIT_MESSAGES_PER_MINUTE: '-1' }), /positive integer/);
+        assert.throws(() => readRateLimitConfig({ MAX_MESSAGE_LENGTH: '0' }), /MAX_MESSAGE_LENGTH/);
+    });
+
+    it('logs a hash of the limited IPs, not the IPs', () => {
+        const limit = limitRate(new RateLimiter({ limit: 1, windowMs: 30000 }), req => req.ip, 'Too many messages');
+        const res = { set: () => res, status: () => res, json: () => res };
+        const warnings = [];
+        const warn = console.warn;
+
+        logger.configure({ level: 'warn', format: 'json' });
+        console.warn = line => warnings.push(JSON.parse(line));
+        try {
+            for (const ip of ['203.0.113.7', '203.0.113.7', '203.0.113.7', '203.0.113.8', '203.0.113.8']) {
+                limit({ method: 'POST', path: '/api/chat/extract', ip }, res, () => {});
+            }
+        } finally {
+            console.warn = warn;
+            logger.configure({ level: process.env.LOG_LEVEL || 'silent', format: 'text' });
+        }
+
+        assert.equal(warnings.length, 3);
+        assert.ok(warnings.every(entry => !JSON.stringify(entry).includes('203.0.113')));
+        assert.equal(warnings[0].ipHash, warnings[1].ipHash);
+        assert.notEqual(warnings[0].ipHash, warnings[2].ipHash);
+    });
+});
+
+describe('abuse limits in the API', () => {
+    let api;
+    const admin = { Authorization: 'Bearer admin-key' };
+
+    before(async () => {
+        api = await startTestServer({
+            apiKeys: new ApiKeyStore({ adminKeys: ['admin-key'], clientKeys: ['client-key'] }),
+            rateLimits: createRateLimits({
+                messagesPerMinute: 3,
+                sessionMessagesPerMinute: 2,
+                sessionsPerHour: 2,
+                maxMessageLength: 20
+            })
+        });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('limits the sessions a client creates', async () => {
+        assert.equal((await api.request('POST', '/api/chat/sessions', {})).status, 201);
+        assert.equal((await api.request('POST', '/api/chat/sessions', {})).status, 201);
+
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 429);
+        assert.match(body.error, /^Too many sessions created, try again in \d+ seconds$/);
+        assert.ok(Number(response.headers.get('Retry-After')) > 3500);
+        assert.equal(body.retryAfter, Number(response.headers.get('Retry-After')));
+
+        // Admins aren't limited
+        assert.equal((await api.request('POST', '/api/chat/sessions', {}, admin)).status, 201);
+    });
+
+    it('limits the messages of a session and of a client', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {}, admin);
+        const send = () => api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' },
+            { 'X-Session-Token': session.sessionToken });
+
+        assert.equal((await send()).status, 200);
+        assert.equal((await send()).status, 200);
+
+        const limited = await send();
+        assert.equal(limited.status, 429);
+        assert.match(limited.body.error, /^Too many messages in this session/);
+
+        // The limited message still counted as the third of the client
+        const completion = await api.request('POST', '/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] },
+            { Authorization: 'Bearer client-key' });
+        assert.equal(completion.status, 429);
+        assert.equal(completion.body.error.type, 'rate_limit_exceeded');
+
+        const message = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' }, admin);
+        assert.equal(message.status, 200);
+    });
+
+    it('rejects messages longer than the limit', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {}, admin);
+
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`,
+            { message: 'x'.repeat(21) }, admin);
+
+        assert.equal(status, 413);
+        assert.equal(body.error, 'Message must be at most 20 characters');
+    });
+
+    it('rejects extraction texts longer than the limit', async () => {
+        const { status, body } = await api.request('POST', '/api/chat/extract',
+            { text: 'x'.repeat(21), schema: { type: 'object' } }, admin);
+
+        assert.equal(status, 413);
+        assert.equal(body.error, 'text must be at most 20 characters');
+    });
+
+    it('rejects completion messages longer than the limit', async () => {
+        const { status, body } = await api.request('POST', '/v1/chat/completions', {
+            messages: [{ role: 'system', content: 'y'.repeat(21) }, { role: 'user', content: 'Hi' }]
+        }, admin);
+
+        assert.equal(status, 413);
+        assert.equal(body.error.message, 'Message content must be at most 20 characters');
+        assert.equal(body.error.param, 'messages');
+    });
+
+    it('only accepts large bodies from admins', async () => {
+        // About 150kb, over the 100kb default
+        const text = 'word '.repeat(30000);
+
+        const visitor = await api.request('POST', '/api/chat/extract', { text, schema: {} });
+        assert.equal(visitor.status, 413);
+
+        const { status } = await api.request('PUT', '/api/chat/system-role', { systemRole: text }, admin);
+        assert.equal(status, 200);
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Redactor, readRedactionConfig, redactConsole } from '../Privacy/Redactor.js';
+import { ModerationPipeline } from '../Moderation/ModerationPipeline.js';
+import { startTestServer, CLIENT_HEADERS } from './helpers.js';
+
+describe('Redactor', () => {
+    const redactor = new Redactor();
+
+    it('replaces emails, phone numbers, IBANs and card numbers', () => {
+        assert.equal(redactor.redact('Write to jane.doe+shop@example.co.uk'), 'Write to [email]');
+        assert.equal(redactor.redact('Call +33 6 12 34 56 78 or (555) 123-4567.'), 'Call [phone] or [phone].');
+        assert.equal(redactor.redact('IBAN DE89 3704 0044 0532 0130 00 and thanks'), 'IBAN [iban] and thanks');
+        assert.equal(redactor.redact('Card 4111-1111-1111-1111, exp 12/27'), 'Card [card], exp 12/27');
+    });
+
+    it('only replaces card numbers and IBANs passing their checksum', () => {
+        assert.equal(redactor.redact('Order 4111 1111 1111 1112'), 'Order 4111 1111 1111 1112');
+        assert.equal(redactor.redact('Ref DE89 3704 0044 0532 0130 01'), 'Ref DE89 3704 0044 0532 0130 01');
+    });
+
+    it('leaves dates, prices and short numbers alone', () => {
+        const text = 'On 2024-01-15 order 12345 cost 1,299.50 for 3 items';
+        assert.equal(redactor.redact(text), text);
+    });
+
+    it('applies custom patterns and redacts nested values', () => {
+        const custom = new Redactor({ detectors: ['email'], patterns: [{ name: 'order', pattern: 'ORD-\\d{6}' }] });
+
+        assert.deepEqual(custom.redactValue({ orderId: 'ORD-123456', contacts: ['a@b.io', 42] }),
+            { orderId: '[order]', contacts: ['[email]', 42] });
+        assert.equal(custom.redact('+33 6 12 34 56 78'), '+33 6 12 34 56 78');
+    });
+
+    it('gives the model the raw or redacted text', () => {
+        assert.equal(new Redactor().forModel('a@b.io'), 'a@b.io');
+        assert.equal(new Redactor({ incomingMessages: 'redacted' }).forModel('a@b.io'), '[email]');
+    });
+
+    it('reads the settings from the environment', () => {
+        assert.deepEqual(readRedactionConfig({}), {
+            enabled: true,
+            detectors: ['email', 'phone', 'iban', 'card'],
+            patterns: [],
+            incomingMessages: 'raw'
+        });
+        assert.deepEqual(readRedactionConfig({ REDACT_PII: 'false', REDACT_DETECTORS: 'email, card' }).detectors,
+            ['email', 'card']);
+
+        assert.throws(() => new Redactor({ detectors: ['ssn'] }), /detector must be one of/);
+        assert.throws(() => new Redactor({ incomingMessages: 'hashed' }), /Incoming messages/);
+        assert.throws(() => new Redactor({ patterns: [{ name: 'id', pattern: '(' }] }), /Invalid redaction pattern id/);
+    });
+
+    it('redacts what the console writes', () => {
+        const lines = [];
+        const target = { log: (...args) => lines.push(args), info() {}, warn() {}, error: (...args) => lines.push(args) };
+        redactConsole(redactor, target);
+
+        target.log('[Test] Message from', 'jane@example.com');
+        target.error('[Test] Failed:', new Error('Unknown customer jane@example.com'));
+
+        assert.deepEqual(lines[0], ['[Test] Message from', '[email]']);
+        assert.match(lines[1][1], /Unknown customer \[email\]/);
+    });
+});
+
+describe('redaction in sessions', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({
+            redactor: new Redactor(),
+            moderation: new ModerationPipeline([
+                { type: 'regex', pattern: 'refund', action: 'rewrite', replacement: 'return', stage: 'both' }
+            ])
+        });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('stores the history redacted while the visitor and the model get the raw text', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+        const { body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`,
+            { message: 'My card 4111 1111 1111 1111 was charged twice' });
+        assert.equal(body.response, 'Echo: My card 4111 1111 1111 1111 was charged twice');
+
+        const { body: exported } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+        assert.deepEqual(exported.history.map(entry => entry.content), [
+            'My card [card] was charged twice',
+            'Echo: My card [card] was charged twice'
+        ]);
+    });
+
+    it('only resyncs the model when moderation changed a turn, not when it was redacted', async () => {
+        const rewritten = [];
+        api.ai._onTurnRewritten = sessionId => rewritten.push(sessionId);
+
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const messages = `/api/chat/sessions/${session.sessionId}/messages`;
+        await api.request('POST', messages, { message: 'Hello' });
+        await api.request('POST', messages, { message: 'Mail me at jane@example.com' });
+        assert.deepEqual(rewritten, []);
+
+        api.ai.responses = ['We refund jane@example.com'];
+        await api.request('POST', messages, { message: 'Can I get my money back?' });
+        api.ai.responses = [];
+        assert.deepEqual(rewritten, [session.sessionId]);
+
+        // Earlier turns are given to every backend from the redacted history
+        const context = api.ai._getContextMessages(api.ai.sessions.get(session.sessionId));
+        assert.ok(context.every(({ content }) => !content.includes('jane@example.com')));
+        delete api.ai._onTurnRewritten;
+    });
+
+    it('redacts the original text kept by moderation', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`,
+            { message: 'Refund to jane@example.com' });
+
+        const [userEntry] = await api.ai.getHistory(session.sessionId);
+        assert.equal(userEntry.content, 'return to [email]');
+        assert.equal(userEntry.moderation.original, 'Refund to [email]');
+    });
+});
+
+describe('redacted incoming messages', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({ redactor: new Redactor({ incomingMessages: 'redacted' }) });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('only gives the model the redacted messages', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+        const { body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`,
+            { message: 'Call me at 06 12 34 56 78' });
+        assert.equal(body.response, 'Echo: Call me at [phone]');
+
+        const completion = await api.request('POST', '/v1/chat/completions', {
+            messages: [{ role: 'user', content: 'I am jane@example.com' }]
+        }, CLIENT_HEADERS);
+        assert.equal(completion.body.choices[0].message.content, 'Echo: I am [email]');
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { FileSessionStore } from '../Store/FileSessionStore.js';
+
+describe('FileSessionStore', () => {
+    let directory;
+    let store;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+        store = new FileSessionStore(directory);
+        await store.initialize();
+    });
+
+    after(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('keeps the last of concurrent saves of a session', async () => {
+        const saves = Array.from({ length: 20 }, (_, index) => store.save('abc', { id: 'abc', version: index }));
+        await Promise.all(saves);
+
+        assert.deepEqual(await store.load('abc'), { id: 'abc', version: 19 });
+        assert.deepEqual(await fs.readdir(directory), ['abc.json']);
+        assert.equal(store.locks.size, 0);
+    });
+
+    it('deletes a session after its pending saves', async () => {
+        const saving = store.save('def', { id: 'def' });
+        await Promise.all([saving, store.delete('def')]);
+
+        assert.equal(await store.load('def'), null);
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkJsonSchema, findSchemaMismatch } from '../AI/jsonSchema.js';
+import { startTestServer, parseEvents, CLIENT_HEADERS } from './helpers.js';
+
+const contactSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: ['integer', 'null'] },
+        topics: { type: 'array', items: { $ref: '#/$defs/topic' }, maxItems: 3 }
+    },
+    required: ['name'],
+    additionalProperties: false,
+    $defs: {
+        topic: { enum: ['billing', 'shipping', 'returns'] }
+    }
+};
+
+describe('JSON schema subset', () => {
+    it('accepts the keywords grammars can enforce', () => {
+        assert.doesNotThrow(() => checkJsonSchema(contactSchema));
+        assert.doesNotThrow(() => checkJsonSchema({
+            oneOf: [{ type: 'string', format: 'date' }, { const: null }],
+            description: 'A date, if known'
+        }));
+    });
+
+    it('rejects unsupported schemas with a 422', () => {
+        const unsupported = [
+            { anyOf: [{ type: 'string' }] },
+            { type: 'string', pattern: '^[A-Z]+$' },
+            { type: 'object', properties: { id: { type: 'uuid' } } },
+            { type: 'array', items: { $ref: '#/$defs/missing' } },
+            { type: 'string', format: 'email' },
+            { type: ['object', 'null'] },
+            {}
+        ];
+
+        for (const schema of unsupported) {
+            assert.throws(() => checkJsonSchema(schema), { status: 422 }, JSON.stringify(schema));
+        }
+
+        assert.throws(() => checkJsonSchema({ type: 'object', properties: { code: { type: 'string', pattern: 'x' } } }),
+            /keyword "pattern" at \$\.properties\.code is not supported/);
+    });
+
+    it('finds where values differ from the schema', () => {
+        assert.equal(findSchemaMismatch({ name: 'Ada', age: null, topics: ['billing'] }, contactSchema), null);
+        assert.equal(findSchemaMismatch({ age: 36 }, contactSchema), '$.name is required');
+        assert.equal(findSchemaMismatch({ name: 'Ada', age: 36.5 }, contactSchema), '$.age must be of type integer or null');
+        assert.equal(findSchemaMismatch({ name: 'Ada', topics: ['sales'] }, contactSchema),
+            '$.topics[0] must be one of ["billing","shipping","returns"]');
+        assert.equal(findSchemaMismatch({ name: 'Ada', email: 'ada@example.com' }, contactSchema), '$.email is not allowed');
+        assert.equal(findSchemaMismatch({ name: '' }, contactSchema), '$.name length must be at least 1');
+    });
+});
+
+describe('structured output routes', () => {
+    let api;
+    let sessionId;
+
+    before(async () => {
+        api = await startTestServer();
+    });
+
+    beforeEach(async () => {
+        api.ai.generationCount = 0;
+        ({ body: { sessionId } } = await api.request('POST', '/api/chat/sessions', {}));
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('returns the parsed data of messages sent with a schema', async () => {
+        api.ai.responses = ['{"name": "Ada", "age": 36}'];
+
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`, {
+            message: 'My name is Ada and I am 36',
+            schema: contactSchema
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data, { name: 'Ada', age: 36 });
+        assert.equal(body.response, '{"name": "Ada", "age": 36}');
+
+        const { body: history } = await api.request('GET', `/api/chat/sessions/${sessionId}/history`);
+        assert.equal(history.history[0].content, 'My name is Ada and I am 36');
+    });
+
+    it('includes the data in the done event of streamed messages', async () => {
+        api.ai.responses = ['{"name": "Ada"}'];
+
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${sessionId}/messages/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(sessionId) },
+            body: JSON.stringify({ message: 'I am Ada', schema: contactSchema })
+        });
+        const events = parseEvents(await response.text());
+
+        assert.deepEqual(events.at(-1).data.data, { name: 'Ada' });
+    });
+
+    it('answers 422 for unsupported schemas and 502 for invalid output', async () => {
+        const unsupported = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`, {
+            message: 'Hi',
+            schema: { anyOf: [{ type: 'string' }] }
+        });
+        assert.equal(unsupported.status, 422);
+        assert.match(unsupported.body.error, /Unsupported JSON schema/);
+
+        api.ai.responses = ['{"age": 36}', 'Sure! Here is the data'];
+
+        const mismatch = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`, {
+            message: 'I am 36',
+            schema: contactSchema
+        });
+        assert.equal(mismatch.status, 502);
+        assert.equal(mismatch.body.error, 'Model output doesn\'t match the schema: $.name is required');
+
+        const invalid = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`, {
+            message: 'I am Ada',
+            schema: contactSchema
+        });
+        assert.equal(invalid.status, 502);
+        assert.match(invalid.body.error, /not valid JSON/);
+
+        const notObject = await api.request('POST', `/api/chat/sessions/${sessionId}/messages`, {
+            message: 'Hi',
+            schema: 'object'
+        });
+        assert.equal(notObject.status, 400);
+    });
+
+    it('extracts data from a text without a session', async () => {
+        api.ai.responses = ['{"name": "Grace", "topics": ["shipping"]}'];
+        const sessionCount = api.ai.getActiveSessions().length;
+
+        const { status, body } = await api.request('POST', '/api/chat/extract', {
+            text: 'Hi, Grace here. Where is my parcel?',
+            schema: contactSchema,
+            instructions: 'Extract the customer name and the topics of their request.'
+        }, CLIENT_HEADERS);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data, { name: 'Grace', topics: ['shipping'] });
+        assert.equal(api.ai.getActiveSessions().length, sessionCount);
+    });
+
+    it('validates extraction requests', async () => {
+        const missingText = await api.request('POST', '/api/chat/extract', { schema: contactSchema }, CLIENT_HEADERS);
+        assert.equal(missingText.status, 400);
+
+        const missingSchema = await api.request('POST', '/api/chat/extract', { text: 'Hi' }, CLIENT_HEADERS);
+        assert.equal(missingSchema.status, 400);
+
+        const unsupported = await api.request('POST', '/api/chat/extract', {
+            text: 'Hi',
+            schema: { type: 'string', pattern: '.*' }
+        }, CLIENT_HEADERS);
+        assert.equal(unsupported.status, 422);
+    });
+});
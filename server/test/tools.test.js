@@ -0,0 +1,405 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import { ToolRegistry } from '../Tools/ToolRegistry.js';
+import { RunAILlamaCpp } from '../AI/RunAILlamaCpp.js';
+import { RunAIOpenAI } from '../AI/RunAIOpenAI.js';
+import { MemorySessionStore } from '../Store/MemorySessionStore.js';
+import { startTestServer, parseEvents, ADMIN_HEADERS } from './helpers.js';
+
+const skuParameters = {
+    type: 'object',
+    properties: { sku: { type: 'string' } }
+};
+
+describe('tool registry', () => {
+    let directory;
+    let endpoint;
+    let endpointUrl;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tools-'));
+        await fs.writeFile(path.join(directory, 'stock.mjs'),
+            'export default async ({ sku }) => ({ sku, inStock: 3 });\n');
+
+        endpoint = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (req.url === '/fail') {
+                    res.writeHead(500);
+                    return res.end('Database down');
+                }
+
+                const { orderId } = JSON.parse(body);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ orderId, status: 'shipped' }));
+            });
+        });
+        await new Promise(resolve => endpoint.listen(0, '127.0.0.1', resolve));
+        endpointUrl = `http://127.0.0.1:${endpoint.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => endpoint.close(resolve));
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('loads HTTP and module tools from a config file', async () => {
+        const configPath = path.join(directory, 'tools.json');
+        await fs.writeFile(configPath, JSON.stringify([
+            {
+                name: 'getOrderStatus',
+                description: 'Get the status of an order',
+                parameters: { type: 'object', properties: { orderId: { type: 'string' } } },
+                http: { url: `${endpointUrl}/orders` }
+            },
+            {
+                name: 'getStock',
+                description: 'Get the stock level of a product',
+                parameters: skuParameters,
+                module: './stock.mjs'
+            }
+        ]));
+
+        const registry = new ToolRegistry();
+        await registry.loadConfig(configPath);
+
+        assert.deepEqual(registry.list().map(({ name }) => name), ['getOrderStatus', 'getStock']);
+        assert.deepEqual(await registry.call('getOrderStatus', { orderId: '42' }), {
+            result: { orderId: '42', status: 'shipped' }
+        });
+        assert.deepEqual(await registry.call('getStock', { sku: 'A1' }), {
+            result: { sku: 'A1', inStock: 3 }
+        });
+    });
+
+    it('returns failures instead of throwing', async () => {
+        const registry = new ToolRegistry({ timeoutMs: 50 });
+        registry.register({ name: 'broken', description: 'Always fails', handler: () => { throw new Error('boom'); } });
+        registry.register({ name: 'slow', description: 'Never answers', handler: () => new Promise(() => {}) });
+        registry.register({ name: 'remote', description: 'Failing endpoint', handler: async () => {
+            const response = await fetch(`${endpointUrl}/fail`);
+            throw new Error(`HTTP ${response.status}`);
+        } });
+
+        assert.deepEqual(await registry.call('broken', {}), { error: 'Tool broken failed: boom' });
+        assert.deepEqual(await registry.call('slow', {}), { error: 'Tool slow timed out after 50ms' });
+        assert.deepEqual(await registry.call('remote', {}), { error: 'Tool remote failed: HTTP 500' });
+        assert.deepEqual(await registry.call('missing', {}), { error: 'Unknown tool: missing' });
+    });
+
+    it('reports HTTP errors of endpoint tools', async () => {
+        const configPath = path.join(directory, 'failing.json');
+        await fs.writeFile(configPath, JSON.stringify([
+            { name: 'failing', description: 'Failing endpoint', http: { url: `${endpointUrl}/fail` } }
+        ]));
+
+        const registry = new ToolRegistry();
+        await registry.loadConfig(configPath);
+
+        assert.deepEqual(await registry.call('failing', {}), { error: 'Tool failing failed: HTTP 500: Database down' });
+    });
+
+    it('rejects invalid tools', () => {
+        const registry = new ToolRegistry();
+        const handler = () => null;
+
+        assert.throws(() => registry.register({ name: 'bad name', description: 'Spaces', handler }), /Invalid tool name/);
+        assert.throws(() => registry.register({ name: 'noDescription', handler }), /needs a description/);
+        assert.throws(() => registry.register({ name: 'noHandler', description: 'No handler' }), /needs a handler/);
+
+        registry.register({ name: 'twice', description: 'Registered twice', handler });
+        assert.throws(() => registry.register({ name: 'twice', description: 'Registered twice', handler }), /already registered/);
+    });
+});
+
+describe('tool calls in sessions', () => {
+    let api;
+
+    before(async () => {
+        const toolRegistry = new ToolRegistry({ timeoutMs: 50 });
+        toolRegistry.register({
+            name: 'getStock',
+            description: 'Get the stock level of a product',
+            parameters: skuParameters,
+            handler: async ({ sku }) => ({ sku, inStock: 3 })
+        });
+        toolRegistry.register({
+            name: 'getOrderStatus',
+            description: 'Get the status of an order',
+            handler: () => new Promise(() => {})
+        });
+
+        api = await startTestServer({ toolRegistry });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('lists the registered tools', async () => {
+        const { status, body } = await api.request('GET', '/api/chat/tools', undefined, ADMIN_HEADERS);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.tools.map(({ name }) => name), ['getStock', 'getOrderStatus']);
+        assert.deepEqual(body.tools[0].parameters, skuParameters);
+    });
+
+    it('records tool calls and results in the history', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'tool:getStock {"sku": "A1"}'
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.response, 'Echo: Tool result: {"sku":"A1","inStock":3}');
+
+        const { body: history } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+        assert.deepEqual(history.history.map(({ role }) => role), ['user', 'tool', 'assistant']);
+        assert.equal(history.history[1].name, 'getStock');
+        assert.deepEqual(history.history[1].arguments, { sku: 'A1' });
+        assert.deepEqual(history.history[1].result, { sku: 'A1', inStock: 3 });
+    });
+
+    it('keeps the conversation going when a tool times out', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'tool:getOrderStatus {"orderId": "42"}'
+        });
+
+        assert.equal(status, 200);
+        assert.match(body.response, /timed out/);
+
+        const { body: history } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+        assert.equal(history.history[1].error, 'Tool getOrderStatus timed out after 50ms');
+
+        const next = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Thanks' });
+        assert.equal(next.status, 200);
+    });
+});
+
+describe('page actions', () => {
+    let api;
+
+    const openPage = {
+        name: 'openPage',
+        description: 'Navigate to a page of the site',
+        parameters: { type: 'object', properties: { page: { type: 'string' } } }
+    };
+
+    before(async () => {
+        api = await startTestServer();
+        api.ai.actionTimeoutMs = 100;
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    /**
+     * Stream a message and answer the action calls it makes
+     * @param {string} sessionId - Session identifier
+     * @param {string} message - Message sent
+     * @param {function(Object): Object} answer - Builds the body posted for each action event
+     * @returns {Promise<Array<Object>>} - Events of the stream
+     */
+    async function streamWithActions(sessionId, message, answer) {
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${sessionId}/messages/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(sessionId) },
+            body: JSON.stringify({ message })
+        });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return parseEvents(text);
+            }
+
+            const previous = parseEvents(text).length;
+            text += decoder.decode(value, { stream: true });
+
+            for (const { event, data } of parseEvents(text).slice(previous)) {
+                const body = event === 'action' && answer(data);
+                if (body) {
+                    await api.request('POST', `/api/chat/sessions/${sessionId}/actions/${data.callId}`, body);
+                }
+            }
+        }
+    }
+
+    it('runs actions in the client during streamed messages', async () => {
+        const { status, body: session } = await api.request('POST', '/api/chat/sessions', { actions: [openPage] });
+        assert.equal(status, 201);
+        assert.deepEqual(session.actions, ['openPage']);
+
+        const events = await streamWithActions(session.sessionId, 'tool:openPage {"page": "pricing"}',
+            () => ({ result: { opened: '/pricing' } }));
+
+        const action = events.find(({ event }) => event === 'action');
+        assert.equal(action.data.name, 'openPage');
+        assert.deepEqual(action.data.arguments, { page: 'pricing' });
+        assert.equal(events.at(-1).event, 'done');
+        assert.equal(events.at(-1).data.response, 'Echo: Tool result: {"opened":"/pricing"}');
+
+        const { body: history } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+        assert.deepEqual(history.history[1].result, { opened: '/pricing' });
+        assert.equal(history.history[1].action, true);
+    });
+
+    it('hands action errors and timeouts to the model', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', { actions: [openPage] });
+
+        const failed = await streamWithActions(session.sessionId, 'tool:openPage {"page": "admin"}',
+            () => ({ error: 'Page not found' }));
+        assert.equal(failed.at(-1).data.response, 'Echo: Tool result: {"error":"Page not found"}');
+
+        const unanswered = await streamWithActions(session.sessionId, 'tool:openPage {"page": "pricing"}', () => null);
+        assert.equal(unanswered.at(-1).data.response, 'Echo: Tool result: {"error":"Action openPage timed out after 100ms"}');
+    });
+
+    it('does not offer actions to non-streamed messages', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', { actions: [openPage] });
+        const { body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'tool:openPage {"page": "pricing"}'
+        });
+
+        assert.equal(body.response, 'Echo: tool:openPage {"page": "pricing"}');
+    });
+
+    it('rejects invalid actions and unknown calls', async () => {
+        const invalid = await api.request('POST', '/api/chat/sessions', {
+            actions: [{ name: 'open page', description: 'Spaces' }]
+        });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.error, /Invalid action name/);
+
+        const duplicate = await api.request('POST', '/api/chat/sessions', { actions: [openPage, openPage] });
+        assert.equal(duplicate.status, 400);
+
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const unknown = await api.request('POST', `/api/chat/sessions/${session.sessionId}/actions/missing`, { result: 1 });
+        assert.equal(unknown.status, 404);
+    });
+});
+
+describe('RunAILlamaCpp chat history', () => {
+    it('replays tool calls as function calls of the next model response', () => {
+        const ai = new RunAILlamaCpp();
+        const history = ai._toChatHistory([
+            { role: 'system', content: 'Be helpful.' },
+            { role: 'user', content: 'Is A1 in stock?' },
+            { role: 'tool', name: 'getStock', arguments: { sku: 'A1' }, result: { inStock: 3 } },
+            { role: 'tool', name: 'getStock', arguments: { sku: 'B2' }, error: 'Tool getStock failed: boom' },
+            { role: 'assistant', content: 'Yes, 3 left.' }
+        ]);
+
+        assert.deepEqual(history, [
+            { type: 'system', text: 'Be helpful.' },
+            { type: 'user', text: 'Is A1 in stock?' },
+            {
+                type: 'model',
+                response: [
+                    { type: 'functionCall', name: 'getStock', params: { sku: 'A1' }, result: { inStock: 3 } },
+                    { type: 'functionCall', name: 'getStock', params: { sku: 'B2' }, result: { error: 'Tool getStock failed: boom' } },
+                    'Yes, 3 left.'
+                ]
+            }
+        ]);
+    });
+});
+
+describe('RunAIOpenAI tool calls', () => {
+    let endpoint;
+    let ai;
+    const requests = [];
+
+    /**
+     * Answer a chat completion with Server-Sent Events
+     * @param {http.ServerResponse} res - Response
+     * @param {Array<Object>} deltas - Deltas of the streamed choice
+     */
+    const stream = (res, deltas) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const delta of deltas) {
+            res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+    };
+
+    before(async () => {
+        // Calls getStock in two streamed pieces, then answers with the result it got back
+        endpoint = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (req.url === '/v1/models') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify({ data: [{ id: 'remote-model' }] }));
+                }
+
+                const request = JSON.parse(body);
+                requests.push(request);
+                const toolMessage = request.messages.find(({ role }) => role === 'tool');
+
+                if (!toolMessage) {
+                    return stream(res, [
+                        { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'getStock', arguments: '{"sku":' } }] },
+                        { tool_calls: [{ index: 0, function: { arguments: ' "A1"}' } }] }
+                    ]);
+                }
+
+                stream(res, [{ content: `Stock: ${toolMessage.content}` }]);
+            });
+        });
+        await new Promise(resolve => endpoint.listen(0, '127.0.0.1', resolve));
+
+        const toolRegistry = new ToolRegistry();
+        toolRegistry.register({
+            name: 'getStock',
+            description: 'Get the stock level of a product',
+            parameters: skuParameters,
+            handler: async ({ sku }) => ({ sku, inStock: 3 })
+        });
+
+        ai = new RunAIOpenAI({ toolRegistry, sessionStore: new MemorySessionStore() });
+        ai.baseUrl = `http://127.0.0.1:${endpoint.address().port}/v1`;
+        await ai.initialize();
+    });
+
+    after(async () => {
+        await ai.cleanup();
+        await new Promise(resolve => endpoint.close(resolve));
+    });
+
+    it('offers the tools as functions and sends their results back until the model answers', async () => {
+        const sessionId = await ai.createSession();
+        const { response } = await ai.sendMessageWithMeta(sessionId, 'Is A1 in stock?');
+
+        assert.equal(response, 'Stock: {"sku":"A1","inStock":3}');
+        assert.deepEqual(requests[0].tools, [{
+            type: 'function',
+            function: { name: 'getStock', description: 'Get the stock level of a product', parameters: skuParameters }
+        }]);
+        assert.deepEqual(requests[1].messages.slice(-2), [
+            {
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'getStock', arguments: '{"sku": "A1"}' } }]
+            },
+            { role: 'tool', tool_call_id: 'call_1', content: '{"sku":"A1","inStock":3}' }
+        ]);
+
+        const history = await ai.getHistory(sessionId);
+        assert.deepEqual(history.map(({ role }) => role), ['user', 'tool', 'assistant']);
+        assert.deepEqual(history[1].arguments, { sku: 'A1' });
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { measureUsage, createUsageTotals, addUsage, withTokensPerSecond } from '../AI/usage.js';
+import { PersonaManager } from '../Persona/PersonaManager.js';
+import { ApiKeyStore } from '../Auth/ApiKeyStore.js';
+import { startTestServer, parseEvents, CLIENT_HEADERS, ADMIN_HEADERS } from './helpers.js';
+
+describe('usage accounting', () => {
+    it('measures and sums generations', () => {
+        const first = measureUsage(30, 20, 500);
+        assert.deepEqual(first, { promptTokens: 30, completionTokens: 20, totalTokens: 50, durationMs: 500, tokensPerSecond: 40 });
+
+        const totals = addUsage(addUsage(createUsageTotals(), first), measureUsage(10, 10, 1500));
+        assert.deepEqual(withTokensPerSecond(totals), {
+            generations: 2,
+            promptTokens: 40,
+            completionTokens: 30,
+            totalTokens: 70,
+            durationMs: 2000,
+            tokensPerSecond: 15
+        });
+        assert.equal(measureUsage(5, 0, 0).tokensPerSecond, 0);
+    });
+});
+
+describe('usage in the API', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer({
+            personaManager: new PersonaManager({ defaultSystemPrompt: 'Be brief.' })
+        });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('returns and records the usage of each message', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+
+        // 'Be brief.' and the 8-character message are 3 and 2 estimated tokens, 'Echo: hi there' is 4
+        const { status, body } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'hi there'
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.usage.promptTokens, 5);
+        assert.equal(body.usage.completionTokens, 4);
+        assert.equal(body.usage.totalTokens, 9);
+        assert.equal(typeof body.usage.durationMs, 'number');
+
+        // The next message is sent along with the first exchange
+        const { body: second } = await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, {
+            message: 'hi there'
+        });
+        assert.equal(second.usage.promptTokens, 11);
+
+        const { body: history } = await api.request('GET', `/api/chat/sessions/${session.sessionId}/history`);
+        assert.deepEqual(history.history.filter(entry => entry.usage).map(entry => entry.usage.totalTokens), [9, 15]);
+
+        const { body: statusBody } = await api.request('GET', '/api/chat/status', undefined, ADMIN_HEADERS);
+        const sessionInfo = statusBody.status.activeSessions.find(({ id }) => id === session.sessionId);
+        assert.equal(sessionInfo.usage.generations, 2);
+        assert.equal(sessionInfo.usage.totalTokens, 24);
+        assert.equal(typeof sessionInfo.usage.tokensPerSecond, 'number');
+    });
+
+    it('streams the usage with the done event', async () => {
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        const response = await fetch(`${api.baseUrl}/api/chat/sessions/${session.sessionId}/messages/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...api.sessionHeaders(session.sessionId) },
+            body: JSON.stringify({ message: 'hi there' })
+        });
+
+        const done = parseEvents(await response.text()).find(({ event }) => event === 'done');
+        assert.equal(done.data.usage.totalTokens, 9);
+    });
+
+    it('returns OpenAI usage for completions and counts them in the status totals', async () => {
+        const { body: before } = await api.request('GET', '/api/chat/status', undefined, ADMIN_HEADERS);
+
+        const { body } = await api.request('POST', '/v1/chat/completions', {
+            messages: [{ role: 'user', content: 'How are you?' }]
+        }, CLIENT_HEADERS);
+        assert.deepEqual(body.usage, { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 });
+
+        const response = await fetch(`${api.baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...CLIENT_HEADERS },
+            body: JSON.stringify({ stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'How are you?' }] })
+        });
+        const events = parseEvents(await response.text()).map(({ data }) => data);
+        assert.equal(events[events.length - 1], '[DONE]');
+        assert.deepEqual(events[events.length - 2].choices, []);
+        assert.deepEqual(events[events.length - 2].usage, { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 });
+
+        const { body: after } = await api.request('GET', '/api/chat/status', undefined, ADMIN_HEADERS);
+        const { usage } = after.status;
+        assert.equal(usage.completions.generations - before.status.usage.completions.generations, 2);
+        assert.equal(usage.total.totalTokens - before.status.usage.total.totalTokens, 16);
+        assert.equal(usage.total.generations,
+            usage.sessions.generations + usage.completions.generations + usage.extractions.generations + usage.summaries.generations);
+    });
+});
+
+describe('usage per API client', () => {
+    let api;
+
+    before(async () => {
+        const apiKeys = new ApiKeyStore({ adminKeys: ['first-key', 'second-key'] });
+        await apiKeys.initialize();
+        api = await startTestServer({ apiKeys });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('counts the usage of each key and of public callers by IP separately', async () => {
+        const complete = headers => api.request('POST', '/v1/chat/completions',
+            { messages: [{ role: 'user', content: 'Hello there' }] }, headers);
+
+        await complete({ Authorization: 'Bearer first-key' });
+        await complete({ Authorization: 'Bearer second-key' });
+        await complete({ Authorization: 'Bearer second-key' });
+
+        const { body: session } = await api.request('POST', '/api/chat/sessions', {});
+        await api.request('POST', `/api/chat/sessions/${session.sessionId}/messages`, { message: 'Hi' },
+            { 'X-Session-Token': session.sessionToken });
+
+        const { body } = await api.request('GET', '/api/chat/status', undefined, { Authorization: 'Bearer first-key' });
+        const clients = Object.fromEntries(body.status.usage.clients.map(({ client, ...totals }) => [client, totals]));
+
+        assert.deepEqual(Object.keys(clients).sort(), ['admin-1', 'admin-2', 'ip:127.0.0.1']);
+        assert.equal(clients['admin-1'].generations, 1);
+        assert.equal(clients['admin-2'].generations, 2);
+        assert.equal(clients['admin-2'].totalTokens, 2 * clients['admin-1'].totalTokens);
+        assert.equal(clients['ip:127.0.0.1'].generations, 1);
+        assert.equal(body.status.usage.clients[0].client, 'admin-2');
+    });
+});